@@ -3,3 +3,15 @@
 // adapter names
 exports.MYSQL_ADAPTER             = 'mysql-adapter';
 exports.MSSQL_ADAPTER             = 'mssql-adapter';
+exports.SQLITE_ADAPTER            = 'sqlite-adapter';
+exports.POSTGRES_ADAPTER          = 'postgres-adapter';
+exports.MOCK_ADAPTER              = 'mock-adapter';
+
+// query event names
+exports.QUERY_START_EVENT         = 'queryStart';
+exports.QUERY_END_EVENT           = 'queryEnd';
+exports.QUERY_ERROR_EVENT         = 'queryError';
+exports.QUERY_RETRY_EVENT         = 'queryRetry';
+
+// replica event names
+exports.REPLICA_EJECTED_EVENT     = 'replicaEjected';
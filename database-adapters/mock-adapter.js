@@ -0,0 +1,838 @@
+'use strict';
+
+// dependencies.
+const fs = require('fs');
+const _ = require('lodash');
+const CallbackUtils = require('../utilities/callback-utilities');
+const StreamUtils = require('../utilities/stream-utilities');
+const TransactionUtils = require('../utilities/transaction-utilities');
+const CancelUtils = require('../utilities/cancel-utilities');
+const constants = require('../constants/constants');
+
+// the mock modes.
+const EXPECT_MODE = 'expect';
+const RECORD_MODE = 'record';
+const REPLAY_MODE = 'replay';
+
+// the error properties saved in fixture files. The error classifiers of the adapters use them.
+const ERROR_FIELDS = ['name', 'message', 'code', 'errno', 'number', 'sqlState', 'state', 'sqlMessage', 'fatal',
+  'severity', 'constraint', 'column', 'table'];
+
+/**
+ * Creates a new mock adapter instance for unit tests.
+ *
+ * Modes (mockMode option):
+ *  - expect: Queries are answered by the expectations registered with adapter.expect(pattern).
+ *  - record: Queries are run on a real adapter (mockAdapterName option) and saved to the
+ *            mockFixturePath file when the adapter is closed.
+ *  - replay: Queries are answered in order from the mockFixturePath file.
+ *
+ * @returns {Object} - The adapter object.
+ */
+exports.createAdapter = () => {
+  // the adapter object.
+  const adapter = {};
+
+  // save the db options.
+  let dbOptions = null;
+  let isConfigured = false;
+  let mode = null;
+
+  // the real adapter used in record mode.
+  let realAdapter = null;
+
+  // the adapter of the mocked dialect used for its error classifiers.
+  let mockedAdapter = null;
+  let mockedAdapterName = null;
+
+  // the registered expectations.
+  let expectations = [];
+
+  // every call and transaction that was run.
+  let calls = [];
+  let transactions = [];
+  let transactionCounter = 0;
+
+  // the recorded or replayed fixture entries.
+  let fixture = [];
+  let replayIndex = 0;
+
+  //======================================================================================
+  // Initialization and Destruction Functions.
+  //======================================================================================
+
+  /**
+   * Configures the mock adapter.
+   * @param options - The configuration options object from the config module.
+   * @param callback - The finished callback function.
+   */
+  adapter.configure = (options, callback) => {
+    // if the adapter is already configured, just fire the finished callback.
+    if (isConfigured) {
+      return callback();
+    }
+
+    // save the options.
+    dbOptions = options;
+    mode = options.mockMode || EXPECT_MODE;
+
+    if (mode === EXPECT_MODE) {
+      isConfigured = true;
+      return callback();
+    }
+
+    // record and replay mode need the fixture file.
+    if (!options.mockFixturePath) {
+      return callback(new Error('Mock fixture path is not set.'));
+    }
+
+    if (mode === RECORD_MODE) {
+      // make sure the real adapter name is set.
+      if (!options.mockAdapterName) {
+        return callback(new Error('Mock adapter name is not set.'));
+      }
+
+      // configure the real adapter with the same options.
+      realAdapter = require('./' + options.mockAdapterName).createAdapter();
+      realAdapter.configure(_.assign({}, options, { adapterName: options.mockAdapterName }), (err) => {
+        if (!err) {
+          isConfigured = true;
+        }
+
+        return callback(err);
+      });
+    }
+    else if (mode === REPLAY_MODE) {
+      // load the fixture file.
+      fs.readFile(options.mockFixturePath, 'utf8', (err, data) => {
+        if (err) {
+          return callback(err);
+        }
+
+        try {
+          fixture = JSON.parse(data);
+        }
+        catch (ex) {
+          return callback(ex);
+        }
+
+        isConfigured = true;
+        return callback();
+      });
+    }
+    else {
+      return callback(new Error('Unknown mock mode: ' + mode));
+    }
+  };
+
+  /**
+   * Closes the mock adapter. In record mode the fixture file is saved and the real adapter is closed.
+   * @param callback - The finished callback function.
+   */
+  adapter.close = (callback) => {
+    // if the adapter wasn't configured yet. Just fire the callback.
+    if (!isConfigured) {
+      return callback();
+    }
+
+    if (mode !== RECORD_MODE) {
+      isConfigured = false;
+      return callback();
+    }
+
+    // save the recorded fixture.
+    adapter.saveFixture((err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      realAdapter.close((err) => {
+        isConfigured = false;
+        return callback(err);
+      });
+    });
+  };
+
+  /**
+   * Gets the connection counts of the real adapter in record mode and zero counts otherwise.
+   * @returns {Object|null} - { total, idle, inUse, waiting } or null when the adapter isn't configured.
+   */
+  adapter.getPoolStats = () => {
+    if (!isConfigured) {
+      return null;
+    }
+
+    if (mode === RECORD_MODE) {
+      return realAdapter.getPoolStats();
+    }
+
+    return { total: 0, idle: 0, inUse: 0, waiting: 0 };
+  };
+
+  /**
+   * Gets the session store object for express. The real adapter store is used in record mode,
+   * an in-memory store otherwise.
+   * @param callback - The finished callback function.
+   */
+  adapter.getSessionStore = (callback) => {
+    // make sure the module has been configured first.
+    if (!isConfigured) {
+      return callback(new Error('Mock adapter not initialized.'));
+    }
+
+    if (mode === RECORD_MODE) {
+      return realAdapter.getSessionStore(callback);
+    }
+
+    let expressSession = require('express-session');
+    return callback(null, new expressSession.MemoryStore());
+  };
+
+  //======================================================================================
+  // Mock Functions.
+  //======================================================================================
+
+  /**
+   * Registers an expected query or statement.
+   * Ex: adapter.expect(/FROM users/).withParams([5]).returns([{ id: 5 }]).once();
+   * @param pattern - A regular expression or a string that the sql has to contain.
+   * @returns {Object} - The chainable expectation builder.
+   */
+  adapter.expect = (pattern) => {
+    let expectation = {
+      pattern: pattern,
+      params: undefined,
+      result: [],
+      error: null,
+      delay: 0,
+      times: Infinity,
+      callCount: 0
+    };
+
+    expectations.push(expectation);
+
+    let builder = {
+      /**
+       * Only matches calls with these parameters.
+       * @param params - The expected parameters.
+       */
+      withParams: (params) => {
+        expectation.params = params;
+        return builder;
+      },
+
+      /**
+       * Sets the rows or results returned to the caller.
+       * @param result - The rows or results object.
+       */
+      returns: (result) => {
+        expectation.result = result;
+        return builder;
+      },
+
+      /**
+       * Makes the call fail with an error.
+       * @param error - The error object or message.
+       */
+      fails: (error) => {
+        expectation.error = (_.isString(error)) ? new Error(error) : error;
+        return builder;
+      },
+
+      /**
+       * Answers the call after a delay, so timeouts and cancellation can be tested.
+       * @param ms - The delay in milliseconds.
+       */
+      delays: (ms) => {
+        expectation.delay = ms;
+        return builder;
+      },
+
+      /**
+       * Sets how many times the expectation can be matched.
+       * @param count - The number of times.
+       */
+      times: (count) => {
+        expectation.times = count;
+        return builder;
+      },
+
+      /**
+       * The expectation can only be matched once.
+       */
+      once: () => {
+        return builder.times(1);
+      }
+    };
+
+    return builder;
+  };
+
+  /**
+   * Gets every call that was run. { method, sql, params, transactionId }
+   * @returns {Array}
+   */
+  adapter.getCalls = () => {
+    return calls;
+  };
+
+  /**
+   * Gets every transaction that was run. { id, parentId, settings, status: 'open' | 'committed' | 'rolledBack', calls }
+   * The settings are the isolation level, read only and lock timeout options of the transaction or null.
+   * @returns {Array}
+   */
+  adapter.getTransactions = () => {
+    return transactions;
+  };
+
+  /**
+   * Makes sure every registered expectation was matched (the set number of times).
+   * Throws an error listing the unmatched expectations.
+   */
+  adapter.verify = () => {
+    let unmatched = _.filter(expectations, (expectation) => {
+      if (expectation.times === Infinity) {
+        return expectation.callCount === 0;
+      }
+
+      return expectation.callCount < expectation.times;
+    });
+
+    if (unmatched.length > 0) {
+      throw new Error('Unmatched mock expectations: ' + _.map(unmatched, (expectation) => {
+        return expectation.pattern.toString();
+      }).join(', '));
+    }
+  };
+
+  /**
+   * Clears the expectations, calls, transactions and the replay position.
+   */
+  adapter.reset = () => {
+    expectations = [];
+    calls = [];
+    transactions = [];
+    replayIndex = 0;
+  };
+
+  /**
+   * Saves the recorded calls to the fixture file.
+   * @param callback - The finished callback function.
+   */
+  adapter.saveFixture = (callback) => {
+    fs.writeFile(dbOptions.mockFixturePath, JSON.stringify(fixture, null, 2), 'utf8', callback);
+  };
+
+  //======================================================================================
+  // SQL Functions.
+  //======================================================================================
+
+  /**
+   * Runs a string query with no external parameters.
+   * @param sqlQuery - The string query.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStringQuery = (sqlQuery, callback, multipleResultSets) => {
+    handleCall('runStringQuery', sqlQuery, [], null, (done) => {
+      realAdapter.runStringQuery(sqlQuery, done, multipleResultSets);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql query with parameters.
+   * @param sqlString - The sql string with question mark placeholders.
+   * @param params - The array parameters.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   * @param [options] - The query options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runQuery = (sqlString, params, callback, multipleResultSets, options) => {
+    handleCall('runQuery', sqlString, params, null, (done) => {
+      realAdapter.runQuery(sqlString, params, done, multipleResultSets, options);
+    }, callback, options);
+  };
+
+  /**
+   * Runs a sql query and streams the rows. The expectation or fixture holds the rows as an array.
+   * In record mode the rows of the real stream are collected, so the fixture holds the full result.
+   * @param sqlString - The sql string with question mark placeholders.
+   * @param params - The array parameters.
+   * @param options - The stream options. { highWaterMark: Number }
+   * @returns {Readable} - The object mode stream of rows.
+   */
+  adapter.streamQuery = (sqlString, params, options) => {
+    let rows = null;
+    let index = 0;
+
+    let stream = StreamUtils.createRowStream(options, () => {
+      pushRows();
+    }, (done) => {
+      rows = null;
+      return done();
+    });
+
+    handleCall('streamQuery', sqlString, params, null, (done) => {
+      let streamedRows = [];
+
+      realAdapter.streamQuery(sqlString, params, options)
+        .on('data', (row) => {
+          streamedRows.push(row);
+        })
+        .on('error', done)
+        .on('end', () => {
+          return done(null, streamedRows);
+        });
+    }, (err, results) => {
+      if (err) {
+        return stream.destroy(err);
+      }
+
+      rows = results || [];
+      pushRows();
+    });
+
+    /**
+     * Pushes the rows until the consumer is behind.
+     */
+    function pushRows() {
+      if (!rows || stream.destroyed) {
+        return;
+      }
+
+      while (index < rows.length) {
+        if (!stream.push(rows[index++])) {
+          return;
+        }
+      }
+
+      rows = null;
+      stream.push(null);
+    }
+
+    return stream;
+  };
+
+  /**
+   * Runs a sql update, insert, delete statement.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   * @param [options] - The statement options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runStatement = (statement, params, callback, multipleResultSets, options) => {
+    handleCall('runStatement', statement, params, null, (done) => {
+      realAdapter.runStatement(statement, params, done, multipleResultSets, options);
+    }, callback, options);
+  };
+
+  /**
+   * Runs a bulk insert statement.
+   * @param statement - The insert statement.
+   * @param params - The values. Ex: [[values], [values]]
+   * @param callback - The finished callback function. callback(err, results);
+   * @param options - The adapter specific bulk insert options.
+   */
+  adapter.runBulkInsert = (statement, params, callback, options) => {
+    handleCall('runBulkInsert', statement, params, null, (done) => {
+      realAdapter.runBulkInsert(statement, params, done, options);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete statement and returns the results.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStatementReturnResult = (statement, params, idField, callback, multipleResultSets) => {
+    handleCall('runStatementReturnResult', statement, params, null, (done) => {
+      realAdapter.runStatementReturnResult(statement, params, idField, done, multipleResultSets);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete statement in a transaction.
+   * @param connection - The mock connection passed to the transaction execute function.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStatementInTransaction = (connection, statement, params, callback, multipleResultSets) => {
+    handleCall('runStatementInTransaction', statement, params, connection, (done) => {
+      realAdapter.runStatementInTransaction(connection.connection, statement, params, done, multipleResultSets);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete statement in a transaction and returns the results.
+   * @param connection - The mock connection passed to the transaction execute function.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStatementInTransactionReturnResult = (connection, statement, params, idField, callback, multipleResultSets) => {
+    handleCall('runStatementInTransactionReturnResult', statement, params, connection, (done) => {
+      realAdapter.runStatementInTransactionReturnResult(connection.connection, statement, params, idField, done, multipleResultSets);
+    }, callback);
+  };
+
+  /**
+   * Executes a stored procedure.
+   * @param statement - The procedure call or name.
+   * @param params - The procedure parameters.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.executeStoredProcedure = (statement, params, callback, multipleResultSets) => {
+    handleCall('executeStoredProcedure', statement, params, null, (done) => {
+      realAdapter.executeStoredProcedure(statement, params, done, multipleResultSets);
+    }, callback);
+  };
+
+  /**
+   * Runs a transaction. The execute function gets a mock connection to pass to runStatementInTransaction.
+   * The status of the transaction is saved as committed or rolledBack.
+   * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function
+   * or return a promise.
+   * @param callback - The finished callback function. callback(err, result);
+   * @param [options] - The transaction options. { connection, isolationLevel, readOnly, lockTimeout } A transaction
+   * run with the mock connection of an open transaction is saved with the id of that transaction as its parentId.
+   */
+  adapter.runTransaction = (executeFunction, callback, options) => {
+    // make sure the module has been configured first.
+    if (!isConfigured) {
+      return callback(new Error('Mock adapter not initialized.'));
+    }
+
+    // get the isolation level, read only and lock timeout settings.
+    let settings = null;
+
+    try {
+      settings = TransactionUtils.getTransactionSettings(options);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    transactionCounter++;
+
+    let parentConnection = (options) ? options.connection : null;
+
+    let transaction = {
+      id: transactionCounter,
+      parentId: (parentConnection) ? parentConnection.transactionId : null,
+      settings: settings,
+      status: 'open',
+      calls: []
+    };
+
+    transactions.push(transaction);
+
+    // sets the final status of the transaction.
+    let finish = (err, result) => {
+      transaction.status = (err) ? 'rolledBack' : 'committed';
+      return callback(err, result);
+    };
+
+    if (mode === RECORD_MODE) {
+      // run the transaction on the real adapter and wrap its connection.
+      realAdapter.runTransaction((realConnection, done) => {
+        let connection = {
+          transactionId: transaction.id,
+          connection: realConnection
+        };
+
+        CallbackUtils.invokeExecuteFunction(executeFunction, connection, done);
+      }, finish, (parentConnection) ? _.assign({}, options, { connection: parentConnection.connection }) : options);
+    }
+    else {
+      CallbackUtils.invokeExecuteFunction(executeFunction, { transactionId: transaction.id }, finish);
+    }
+  };
+
+  //======================================================================================
+  // Error Functions.
+  //======================================================================================
+
+  /**
+   * Checks if an error is transient with the classifier of the mocked adapter.
+   * Ex: mock.expect('UPDATE').fails(_.assign(new Error('Deadlock'), { code: 'ER_LOCK_DEADLOCK' }));
+   * @param err - The error.
+   * @returns {boolean}
+   */
+  adapter.isRetryableError = (err) => {
+    return getMockedAdapter().isRetryableError(err);
+  };
+
+  /**
+   * Wraps a driver error in the matching DbError type with the classifier of the mocked adapter.
+   * Ex: mock.expect('INSERT').fails(_.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY', sqlMessage: 'Duplicate entry' }));
+   * @param err - The error.
+   * @param sql - The failing sql string with its placeholders.
+   * @returns {Error}
+   */
+  adapter.toDbError = (err, sql) => {
+    return getMockedAdapter().toDbError(err, sql);
+  };
+
+  //======================================================================================
+  // Schema Functions.
+  //======================================================================================
+
+  /**
+   * Gets the tables and views of the database. The call sql is 'getTables'.
+   * Ex: adapter.expect('getTables').returns([{ schema: 'dbo', name: 'users', type: 'table' }]);
+   * @param callback - The finished callback function. callback(err, [{ schema, name, type }]);
+   */
+  adapter.getTables = (callback) => {
+    handleCall('getTables', 'getTables', [], null, (done) => {
+      realAdapter.getTables(done);
+    }, callback);
+  };
+
+  /**
+   * Describes a table. The call sql is 'describeTable' and the table name.
+   * Ex: adapter.expect('describeTable users').returns({ name: 'users', columns: [] });
+   * @param tableName - The table name.
+   * @param callback - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+   */
+  adapter.describeTable = (tableName, callback) => {
+    handleCall('describeTable', 'describeTable ' + tableName, [], null, (done) => {
+      realAdapter.describeTable(tableName, done);
+    }, callback);
+  };
+
+  /**
+   * Gets the foreign keys of a table. The call sql is 'getForeignKeys' and the table name.
+   * @param tableName - The table name.
+   * @param callback - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+   */
+  adapter.getForeignKeys = (tableName, callback) => {
+    handleCall('getForeignKeys', 'getForeignKeys ' + tableName, [], null, (done) => {
+      realAdapter.getForeignKeys(tableName, done);
+    }, callback);
+  };
+
+  //======================================================================================
+  // Private Functions.
+  //======================================================================================
+
+  /**
+   * Gets an unconfigured instance of the mocked adapter (the mockDialect or mockAdapterName option,
+   * defaults to mysql) for its error classifiers.
+   * @returns {Object}
+   */
+  function getMockedAdapter() {
+    let adapterName = (dbOptions && (dbOptions.mockDialect || dbOptions.mockAdapterName)) || constants.MYSQL_ADAPTER;
+
+    if (!mockedAdapter || mockedAdapterName !== adapterName) {
+      mockedAdapter = require('./' + adapterName).createAdapter();
+      mockedAdapterName = adapterName;
+    }
+
+    return mockedAdapter;
+  }
+
+  /**
+   * Saves a call and answers it for the current mode.
+   * @param method - The adapter function name.
+   * @param sql - The sql string.
+   * @param params - The parameters.
+   * @param connection - The mock connection if the call is part of a transaction.
+   * @param forward - Runs the call on the real adapter in record mode. function (done) {}
+   * @param callback - The finished callback function.
+   * @param [options] - The call options. { timeoutMs: Number, signal: AbortSignal } The real adapter handles
+   * them in record mode.
+   */
+  function handleCall(method, sql, params, connection, forward, callback, options) {
+    // make sure the module has been configured first.
+    if (!isConfigured) {
+      return callback(new Error('Mock adapter not initialized.'));
+    }
+
+    let call = {
+      method: method,
+      sql: sql,
+      params: params,
+      transactionId: (connection) ? connection.transactionId : null
+    };
+
+    calls.push(call);
+
+    // add the call to its transaction.
+    if (connection) {
+      let transaction = _.find(transactions, { id: connection.transactionId });
+      if (transaction) {
+        transaction.calls.push(call);
+      }
+    }
+
+    if (mode === RECORD_MODE) {
+      return forward((err, results, ...moreResults) => {
+        let entry = {
+          method: method,
+          sql: sql,
+          params: toFixtureValue(params),
+          error: (err) ? _.pick(err, ERROR_FIELDS) : null,
+          results: (err) ? null : toFixtureValue(results)
+        };
+
+        // the other callback arguments. Ex: the return value and output values of an mssql stored procedure.
+        if (!err && moreResults.length > 0) {
+          entry.moreResults = _.map(moreResults, toFixtureValue);
+        }
+
+        fixture.push(entry);
+
+        return callback(err, results, ...moreResults);
+      });
+    }
+
+    if (mode === REPLAY_MODE) {
+      return replayCall(call, callback);
+    }
+
+    CancelUtils.runCancellable(options, sql, (cancellation, done) => {
+      answerCall(call, cancellation, done);
+    }, callback);
+  }
+
+  /**
+   * Answers a call with the first matching expectation.
+   * @param call - The call object.
+   * @param cancellation - Stops a delayed answer. See utilities/cancel-utilities.js.
+   * @param callback - The finished callback function.
+   */
+  function answerCall(call, cancellation, callback) {
+    let expectation = _.find(expectations, (expectation) => {
+      return expectation.callCount < expectation.times && matchesExpectation(expectation, call);
+    });
+
+    if (!expectation) {
+      return callback(new Error('Unexpected mock call: ' + call.method + ' ' + call.sql));
+    }
+
+    expectation.callCount++;
+
+    let answer = () => {
+      if (expectation.error) {
+        return callback(expectation.error);
+      }
+
+      return callback(null, _.cloneDeep(expectation.result));
+    };
+
+    if (!expectation.delay) {
+      return answer();
+    }
+
+    let timer = setTimeout(answer, expectation.delay);
+
+    cancellation.onCancel(() => {
+      clearTimeout(timer);
+      callback(new Error('The query was stopped.'));
+    });
+  }
+
+  /**
+   * Answers a call with the next entry of the fixture.
+   * @param call - The call object.
+   * @param callback - The finished callback function.
+   */
+  function replayCall(call, callback) {
+    let entry = fixture[replayIndex];
+
+    // the calls have to be made in the same order as they were recorded.
+    if (!entry || entry.method !== call.method || entry.sql !== call.sql || !_.isEqual(entry.params, toFixtureValue(call.params))) {
+      return callback(new Error('Mock replay mismatch at call ' + replayIndex + ': ' + call.method + ' ' + call.sql));
+    }
+
+    replayIndex++;
+
+    if (entry.error) {
+      return callback(_.assign(new Error(entry.error.message), entry.error));
+    }
+
+    return callback(null, fromFixtureValue(entry.results), ...fromFixtureValue(entry.moreResults || []));
+  }
+
+  return adapter;
+};
+
+/**
+ * Checks if a call matches an expectation.
+ * @param expectation - The expectation object.
+ * @param call - The call object.
+ * @returns {boolean}
+ */
+function matchesExpectation(expectation, call) {
+  let sqlMatches = (_.isRegExp(expectation.pattern)) ?
+    expectation.pattern.test(call.sql) :
+    _.includes(call.sql, expectation.pattern);
+
+  if (!sqlMatches) {
+    return false;
+  }
+
+  return expectation.params === undefined || _.isEqual(expectation.params, call.params);
+}
+
+/**
+ * Converts a value to its json form, so it can be saved in the fixture and compared to fixture values.
+ * Dates and buffers are saved with a type tag, so they can be restored on replay.
+ * Ex: { $type: 'Date', value: '2024-01-31T12:00:00.000Z' } or { $type: 'Buffer', value: 'aGk=' }
+ * @param value - The value to convert.
+ * @returns {*}
+ */
+function toFixtureValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  return JSON.parse(JSON.stringify(value, function (key, item) {
+    // the item is already the json form (Ex: the date string), so the type is checked on the original value.
+    let original = this[key];
+
+    if (_.isDate(original)) {
+      return { $type: 'Date', value: item };
+    }
+
+    if (Buffer.isBuffer(original)) {
+      return { $type: 'Buffer', value: original.toString('base64') };
+    }
+
+    return item;
+  }));
+}
+
+/**
+ * Restores the dates and buffers of a fixture value. See toFixtureValue.
+ * @param value - The fixture value.
+ * @returns {*} - A new value, so the replayed results can be changed without changing the fixture.
+ */
+function fromFixtureValue(value) {
+  if (_.isArray(value)) {
+    return _.map(value, fromFixtureValue);
+  }
+
+  if (!_.isPlainObject(value)) {
+    return value;
+  }
+
+  if (value.$type === 'Date') {
+    return new Date(value.value);
+  }
+
+  if (value.$type === 'Buffer') {
+    return Buffer.from(value.value, 'base64');
+  }
+
+  return _.mapValues(value, fromFixtureValue);
+}
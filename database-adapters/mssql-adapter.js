@@ -3,304 +3,903 @@
 // dependencies
 const sql = require('mssql');
 const _ = require('lodash');
+const CallbackUtils = require('../utilities/callback-utilities');
+const SqlUtils = require('../utilities/sql-utilities');
+const StreamUtils = require('../utilities/stream-utilities');
+const SchemaUtils = require('../utilities/schema-utilities');
+const TransactionUtils = require('../utilities/transaction-utilities');
+const CancelUtils = require('../utilities/cancel-utilities');
+const TypeConversion = require('../utilities/type-conversion');
+const DbErrors = require('../utilities/db-errors');
+
+// the range of the Int column type.
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+// the sys catalog view queries of the schema functions. The schema defaults to the default schema of the user.
+const CATALOG_QUERIES = {
+  tables: "SELECT s.name AS table_schema, o.name AS table_name, CASE o.type WHEN 'V' THEN 'VIEW' ELSE 'BASE TABLE' END AS table_type " +
+    'FROM sys.objects o JOIN sys.schemas s ON s.schema_id = o.schema_id ' +
+    "WHERE o.type IN ('U', 'V') AND o.is_ms_shipped = 0 ORDER BY s.name, o.name",
+  columns: 'SELECT s.name AS table_schema, c.name AS column_name, c.column_id AS ordinal_position, ty.name AS data_type, ' +
+    "CASE WHEN ty.name IN ('nchar', 'nvarchar') THEN NULLIF(c.max_length, -1) / 2 " +
+    "WHEN ty.name IN ('char', 'varchar', 'binary', 'varbinary') THEN NULLIF(c.max_length, -1) END AS max_length, " +
+    "CASE WHEN ty.name IN ('tinyint', 'smallint', 'int', 'bigint', 'decimal', 'numeric', 'money', 'smallmoney', 'float', 'real') " +
+    'THEN c.precision END AS numeric_precision, ' +
+    "CASE WHEN ty.name IN ('decimal', 'numeric', 'money', 'smallmoney') THEN c.scale END AS numeric_scale, " +
+    'c.is_nullable AS is_nullable, dc.definition AS column_default, c.is_identity AS is_auto_increment ' +
+    'FROM sys.columns c ' +
+    'JOIN sys.objects o ON o.object_id = c.object_id ' +
+    'JOIN sys.schemas s ON s.schema_id = o.schema_id ' +
+    'JOIN sys.types ty ON ty.user_type_id = c.user_type_id ' +
+    'LEFT JOIN sys.default_constraints dc ON dc.object_id = c.default_object_id ' +
+    'WHERE o.name = :table AND s.name = COALESCE(:schema, SCHEMA_NAME()) ' +
+    'ORDER BY c.column_id',
+  indexes: 'SELECT i.name AS index_name, c.name AS column_name, i.is_unique AS is_unique, i.is_primary_key AS is_primary ' +
+    'FROM sys.indexes i ' +
+    'JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id ' +
+    'JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id ' +
+    'JOIN sys.objects o ON o.object_id = i.object_id ' +
+    'JOIN sys.schemas s ON s.schema_id = o.schema_id ' +
+    'WHERE o.name = :table AND s.name = COALESCE(:schema, SCHEMA_NAME()) AND ic.is_included_column = 0 ' +
+    'ORDER BY i.name, ic.key_ordinal',
+  foreignKeys: 'SELECT fk.name AS constraint_name, pc.name AS column_name, rs.name AS referenced_schema, rt.name AS referenced_table, ' +
+    'rc.name AS referenced_column, fk.update_referential_action_desc AS update_rule, fk.delete_referential_action_desc AS delete_rule ' +
+    'FROM sys.foreign_keys fk ' +
+    'JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id ' +
+    'JOIN sys.objects pt ON pt.object_id = fk.parent_object_id ' +
+    'JOIN sys.schemas ps ON ps.schema_id = pt.schema_id ' +
+    'JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id ' +
+    'JOIN sys.objects rt ON rt.object_id = fk.referenced_object_id ' +
+    'JOIN sys.schemas rs ON rs.schema_id = rt.schema_id ' +
+    'JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id ' +
+    'WHERE pt.name = :table AND ps.name = COALESCE(:schema, SCHEMA_NAME()) ' +
+    'ORDER BY fk.name, fkc.constraint_column_id'
+};
 
-// save the db options.
-let dbOptions = null;
-let dbConfig = null;
-let poolInitialized = false;
+// the error numbers of deadlock victims and lock request timeouts.
+const RETRYABLE_ERROR_NUMBERS = [1205, 1222];
+
+// the DbError types of the sql server error numbers. See utilities/db-errors.js.
+const ERROR_TYPES = {
+  2627: 'UniqueViolation',
+  2601: 'UniqueViolation',
+  547: 'ForeignKeyViolation',
+  515: 'NotNullViolation',
+  1205: 'Deadlock',
+  1222: 'Timeout',
+  102: 'SyntaxError',
+  156: 'SyntaxError',
+  207: 'SyntaxError',
+  208: 'SyntaxError'
+};
 
-//======================================================================================
-// Initialization and Destruction Functions.
-//======================================================================================
+// the driver error codes of lost or failed connections.
+const CONNECTION_ERROR_CODES = ['ELOGIN', 'ESOCKET', 'ECONNCLOSED', 'EINSTLOOKUP', 'ENOTOPEN', 'ENOCONN'];
+
+// the statements of the savepoints of nested transactions. sql server has no release statement.
+// A doomed transaction (XACT_STATE() = -1) can't be rolled back to a savepoint, so the rollback fails with an error.
+const SAVEPOINT_STATEMENTS = {
+  savepoint: 'SAVE TRANSACTION ',
+  rollback: function (savepointName) {
+    return 'IF XACT_STATE() = 1 ROLLBACK TRANSACTION ' + savepointName + ' ' +
+      "ELSE RAISERROR('The transaction is doomed and can''t be rolled back to " + savepointName + ".', 16, 1)";
+  },
+  release: null
+};
 
 /**
- * Configures and initialized the mysql module and database connection.
- * @param options - The configuration options object from the config module.
- * @param callback - The finished callback function.
+ * Creates a new mssql adapter instance. Every instance has its own connection pool.
+ * @returns {Object} - The adapter object.
  */
-exports.configure = function (options, callback) {
-  // if the pool is already configured, just fire the finished callback.
-  if (poolInitialized) {
-    return callback();
-  }
+exports.createAdapter = function () {
+  // the adapter object.
+  const adapter = {};
+
+  // save the db options.
+  let dbOptions = null;
+  let dbConfig = null;
+  let pool = null;
+  let poolInitialized = false;
+
+  // the session stores handed out by getSessionStore, so close can close their connection pools.
+  let sessionStores = [];
+
+  // converts the column values of the query results. See utilities/type-conversion.js.
+  let typeConverter = null;
+
+  // the transactions that run with XACT_ABORT turned off, because they have nested transactions.
+  const savepointTransactions = new WeakSet();
+
+  //======================================================================================
+  // Initialization and Destruction Functions.
+  //======================================================================================
+
+  /**
+   * Configures and initialized the mysql module and database connection.
+   * @param options - The configuration options object from the config module.
+   * @param callback - The finished callback function.
+   */
+  adapter.configure = function (options, callback) {
+    // if the pool is already configured, just fire the finished callback.
+    if (poolInitialized) {
+      return callback();
+    }
+
+    // build the mysql specific connection pool options.
+    let config = {
+      user: options.username,
+      password: options.password,
+      database: options.dbName,
+      server: options.server,
+      port: options.port,
+      pool: {
+        max: options.connectionPoolLimit
+      },
+      options: {
+        instanceName: options.instanceName,
+        abortTransactionOnError: true
+      }
+    };
 
-  // build the mysql specific connection pool options.
-  let config = {
-    user: options.username,
-    password: options.password,
-    database: options.dbName,
-    server: dbOptions.server,
-    port: dbOptions.port,
-    pool: {
-      max: options.connectionPoolLimit
-    },
-    options: {
-      instanceName: options.instanceName,
-      abortTransactionOnError: true
+    try {
+      typeConverter = TypeConversion.createTypeConverter(options.typeConversion);
+    }
+    catch (ex) {
+      return callback(ex);
     }
+
+    // save the options.
+    dbOptions = options;
+    dbConfig = config;
+
+    // create the connection pool for this adapter instance.
+    pool = new sql.ConnectionPool(dbConfig);
+
+    // connect the pool.
+    pool.connect(function (err) {
+      if (err) {
+        pool = null;
+        return callback(err);
+      }
+
+      poolInitialized = true;
+      return callback();
+    });
   };
 
-  // save the options.
-  dbOptions = options;
-  dbConfig = config;
+  /**
+   * Performs the de-allocation/pool destruction code when application is exiting.
+   */
+  adapter.close = function (callback) {
+    // if the pool wasn't created yet. Just fire the callback.
+    if (!poolInitialized) {
+      return callback();
+    }
 
-  // create the mysql connection pool.
-  sql.connect(dbConfig, function (err) {
-    if (err) {
-      return callback(err);
+    // the session stores have their own connection pools.
+    closeSessionStores(sessionStores, function (e) {
+      sessionStores = [];
+
+      // destroy the pool.
+      pool.close(function (err) {
+        pool = null;
+        poolInitialized = false;
+        return callback(err || e);
+      });
+    });
+  };
+
+  /**
+   * Gets the connection counts of the pool.
+   * @returns {Object|null} - { total, idle, inUse, waiting } or null when the pool wasn't initialized yet.
+   */
+  adapter.getPoolStats = function () {
+    if (!poolInitialized) {
+      return null;
     }
 
-    poolInitialized = true;
-    return callback();
-  });
-};
+    return {
+      total: pool.size,
+      idle: pool.available,
+      inUse: pool.borrowed,
+      waiting: pool.pending
+    };
+  };
 
-/**
- * Performs the de-allocation/pool destruction code when application is exiting.
- */
-exports.close = function (callback) {
-  // if the pool wasn't created yet. Just fire the callback.
-  if (!poolInitialized) {
-    return callback();
-  }
+  /**
+   * Gets the mysql session store object for express.
+   * @param callback - The finished callback function.
+   */
+  adapter.getSessionStore = function(callback) {
+    // make sure the module has been configured first.
+    if (!poolInitialized) {
+      return callback(new Error('DB connection pool not initialized.'));
+    }
 
-  // destroy the pool.
-  sql.close(function (err) {
-    return callback(err);
-  });
-};
+    // setup the session store.
+    let session = require('express-session');
+    let MSSQLStore = require('connect-mssql-v2')(session);
+
+    // build the config options.
+    let options = {
+      table: (dbOptions.sessionTableName) ? dbOptions.sessionTableName : 'sessions',
+    };
+
+    // build the mysql specific connection pool options.
+    let config = {
+      user: dbOptions.username,
+      password: dbOptions.password,
+      database: dbOptions.sessionDatabaseName,
+      server: dbOptions.server,
+      port: dbOptions.port,
+      pool: {
+        max: dbOptions.connectionPoolLimit
+      },
+      options: {
+        instanceName: dbOptions.instanceName,
+        abortTransactionOnError: true
+      }
+    };
 
-/**
- * Gets the mysql session store object for express.
- * @param callback - The finished callback function.
- */
-exports.getSessionStore = function(callback) {
-  // make sure the module has been configured first.
-  if (!poolInitialized) {
-    return callback(new Error('DB connection pool not initialized.'));
-  }
+    // return a new instance of the MySQL session store.
+    let store = new MSSQLStore(config, options);
 
-  // setup the session store.
-  let session = require('express-session');
-  let MSSQLStore = require('connect-mssql-v2')(session);
+    sessionStores.push(store);
 
-  // build the config options.
-  let options = {
-    table: (dbOptions.sessionTableName) ? dbOptions.sessionTableName : 'sessions',
+    return callback(null, store);
   };
 
-  // build the mysql specific connection pool options.
-  let config = {
-    user: dbOptions.username,
-    password: dbOptions.password,
-    database: dbOptions.sessionDatabaseName,
-    server: dbOptions.server,
-    port: dbOptions.port,
-    pool: {
-      max: dbOptions.connectionPoolLimit
-    },
-    options: {
-      instanceName: dbOptions.instanceName,
-      abortTransactionOnError: true
+  //======================================================================================
+  // SQL Functions.
+  //======================================================================================
+
+  /**
+   * Runs a simple string query with no parameters.
+   * @param sqlString - The string query.
+   * @param callback - The finished callback function. callback (err, resultSet).
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStringQuery = function(sqlString, callback, multipleResultSets) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
     }
+
+    // build the request object.
+    let request = new sql.Request(pool);
+
+    // set the multiple flag.
+    if (multipleResultSets) {
+      request.multiple = true;
+    }
+
+    // run the query.
+    request.query(sqlString, function(err, rows) {
+      return convertResults(err, rows, callback);
+    });
   };
 
-  // return a new instance of the MySQL session store.
-  return callback(null, new MSSQLStore(config, options));
-};
+  /**
+   * Runs a simple string query with no parameters.
+   * @param transaction - The transaction object.
+   * @param sqlString - The string query.
+   * @param callback - The finished callback function. callback (err, resultSet).
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStringQueryInTransaction = function(transaction, sqlString, callback, multipleResultSets) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
 
-//======================================================================================
-// SQL Functions.
-//======================================================================================
+    // build the request object.
+    let request = new sql.Request(transaction);
 
-/**
- * Runs a simple string query with no parameters.
- * @param sqlString - The string query.
- * @param callback - The finished callback function. callback (err, resultSet).
- * @param multipleResultSets - Flag indicating if multiple result sets are returned.
- */
-exports.runStringQuery = function(sqlString, callback, multipleResultSets) {
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+    // set the multiple flag.
+    if (multipleResultSets) {
+      request.multiple = true;
+    }
+
+    // run the query.
+    request.query(sqlString, function(err, rows) {
+      return callback(err, rows);
+    });
+  };
 
-  // build the request object.
-  let request = new sql.Request();
+  /**
+   * Runs a prepared statement with parameters.
+   * @param queryString - The query string with question mark or :name placeholders.
+   * @param params - The params array or named parameters object.
+   * @param callback - The finished callback function.
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   * @param [options] - The query options. { timeoutMs: Number, signal: AbortSignal } A query that times out or
+   * is cancelled is stopped with request.cancel().
+   */
+  adapter.runQuery = function (queryString, params, callback, multipleResultSets, options) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
 
-  // set the multiple flag.
-  if (multipleResultSets) {
-    request.multiple = true;
-  }
+    CancelUtils.runCancellable(options, queryString, function (cancellation, done) {
+      runPreparedStatement(pool, queryString, params, multipleResultSets, cancellation, done);
+    }, function (err, result) {
+      // the convertTypes option turns the type conversion off. Ex: the catalog queries of the schema functions.
+      if (options && options.convertTypes === false) {
+        return callback(err, result);
+      }
 
-  // run the query.
-  request.query(sqlString, function(err, rows) {
-    return callback(err, rows);
-  });
-};
+      return convertResults(err, result, callback);
+    });
+  };
 
-/**
- * Runs a simple string query with no parameters.
- * @param transaction - The transaction object.
- * @param sqlString - The string query.
- * @param callback - The finished callback function. callback (err, resultSet).
- * @param multipleResultSets - Flag indicating if multiple result sets are returned.
- */
-exports.runStringQueryInTransaction = function(transaction, sqlString, callback, multipleResultSets) {
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
 
-  // build the request object.
-  let request = new sql.Request(transaction);
+  /**
+   * Runs a query and streams the rows. The request is paused while the consumer is behind and
+   * cancelled when the stream is destroyed before all rows were read.
+   * @param queryString - The query string with question mark or :name placeholders.
+   * @param params - The params array or named parameters object.
+   * @param options - The stream options. { highWaterMark: Number }
+   * @returns {Readable} - The object mode stream of rows.
+   */
+  adapter.streamQuery = function (queryString, params, options) {
+    let request = null;
+    let finished = false;
+
+    let stream = StreamUtils.createRowStream(options, function () {
+      if (request) {
+        request.resume();
+      }
+    }, function (done) {
+      // cancel the request, the connection goes back to the pool when the request is done.
+      if (request && !finished) {
+        request.cancel();
+      }
 
-  // set the multiple flag.
-  if (multipleResultSets) {
-    request.multiple = true;
-  }
+      request = null;
+      return done();
+    });
 
-  // run the query.
-  request.query(sqlString, function(err, rows) {
-    return callback(err, rows);
-  });
-};
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return StreamUtils.failStream(stream, new Error('Connection pool not initialized.'));
+    }
 
-/**
- * Runs a prepared statement with parameters.
- * @param queryString - The query string.
- * @param params - The params array.
- * @param callback - The finished callback function.
- * @param multipleResultSets - Flag indicating if multiple result sets are returned.
- */
-exports.runQuery = function (queryString, params, callback, multipleResultSets) {
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+    // build a streaming request.
+    request = new sql.Request(pool);
+    request.stream = true;
 
-  // build the prepared statement object.
-  let ps = new sql.PreparedStatement();
-  let query = null;
+    let query = null;
 
-  // set the multiple flag.
-  if (multipleResultSets) {
-    ps.multiple = true;
-  }
+    try {
+      query = convertQueryAndParamsForRequest(queryString, params, request);
+    }
+    catch (ex) {
+      request = null;
+      return StreamUtils.failStream(stream, ex);
+    }
 
-  // check if the params is an array of objects.
-  if (isObjectParams(params)) {
-    query = convertParamsObjectArrayToQueryObject(queryString, params, ps);
-  }
-  else {
-    // convert the query.
-    query = convertQueryAndParamsForMSSql(queryString, params, ps);
-  }
+    let columns = [];
 
-  // prepare the statement.
-  ps.prepare(query.sql, function (err) {
-    if (err) {
-      return callback(err);
+    request.on('recordset', function (recordsetColumns) {
+      columns = getColumns(recordsetColumns);
+    });
+
+    request.on('row', function (row) {
+      if (stream.destroyed) {
+        return;
+      }
+
+      // convert the row like the rows of runQuery.
+      try {
+        typeConverter.convertRows([row], columns);
+      }
+      catch (ex) {
+        return stream.destroy(ex);
+      }
+
+      // pause the request until the consumer reads more rows.
+      if (!stream.push(row)) {
+        request.pause();
+      }
+    });
+
+    request.on('error', function (err) {
+      stream.destroy(err);
+    });
+
+    request.on('done', function () {
+      finished = true;
+
+      if (!stream.destroyed) {
+        stream.push(null);
+      }
+    });
+
+    request.query(query.sql);
+
+    return stream;
+  };
+
+  /**
+   * Runs an update statement.
+   * @param statement - The sql statement.
+   * @param params - The parameters.
+   * @param callback - The finished callback function.
+   * @param multipleResultSets - Flag indicating if multiple result sets should be returned.
+   * @param [options] - The statement options. { timeoutMs: Number, signal: AbortSignal } A statement that times out
+   * or is cancelled is stopped with request.cancel() and its transaction is rolled back.
+   */
+  adapter.runStatement = function(statement, params, callback, multipleResultSets, options) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
     }
 
-    // execute the statement.
-    ps.execute(query.values, function (er, resultSet) {
-      // un-prepare the statement.
-      ps.unprepare(function(e) {
-        if (e) {
-          console.log(new Error('Failed to un-prepare a prepared statement.'));
+    CancelUtils.runCancellable(options, statement, function (cancellation, done) {
+      // create a transaction connection object.
+      let transaction = new sql.Transaction(pool);
+
+      // begin the transaction.
+      transaction.begin(function (err) {
+        // make sure the begin statement finished successfully.
+        if (err) {
+          return done(err);
         }
 
-        return callback(err, resultSet);
+        // run the statement.
+        runPreparedStatement(transaction, statement, params, multipleResultSets, cancellation, function (err, resultSet) {
+          if (err) {
+            transaction.rollback(function (e) {
+              if (e) {
+                console.log(e);
+              }
+
+              return done(err);
+            });
+          }
+          else {
+            // commit the changes.
+            transaction.commit(function (e) {
+              return done(e, resultSet);
+            });
+          }
+        });
       });
+    }, callback);
+  };
+
+
+  /**
+   * Runs a bulk insert statement using the TDS bulk load. The rows are loaded at once, or in batches of
+   * batchSize rows that are all loaded in a single transaction.
+   * The column types are inferred from all the values of every column, unless they are set
+   * with the columnTypes option. Ex: { columnTypes: { name: sql.TYPES.NVarChar(100) } }
+   * @param statement - The insert statement. Ex: INSERT INTO table_name (name, email, comment) VALUES ?
+   * @param params - The values. Ex: [[values], [values]]
+   * @param callback - The finished callback function. callback(err, results);
+   * @param options - The bulk insert options. { columnTypes: Object, batchSize: Number }
+   */
+  adapter.runBulkInsert = function (statement, params, callback, options) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    let insert = null;
+
+    // get the table and column names.
+    try {
+      insert = SqlUtils.parseBulkInsertStatement(statement);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    let columnTypes = (options && options.columnTypes) ? options.columnTypes : {};
+
+    // get the type of every column.
+    let types = _.map(insert.columns, function (columnName, i) {
+      if (columnTypes[columnName]) {
+        return columnTypes[columnName];
+      }
+
+      return getBulkType(_.map(params, i));
     });
-  });
-};
 
-/**
- * Runs an update statement.
- * @param statement - The sql statement.
- * @param params - The parameters.
- * @param callback - The finished callback function.
- * @param multipleResultSets - Flag indicating if multiple result sets should be returned.
- */
-exports.runStatement = function(statement, params, callback, multipleResultSets) {
-  // save a reference.
-  let _this = this;
+    // the bulk load has no parameter limit, so the rows are only split when there is a batch size.
+    let chunks = (options && options.batchSize) ? _.chunk(params, options.batchSize) : [params];
 
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+    adapter.runTransaction(function (transaction, done) {
+      let results = {
+        rowsAffected: 0
+      };
 
-  // create a transaction connection object.
-  let transaction = new sql.Transaction();
+      // load the chunks one after another.
+      let loadChunk = function (index) {
+        if (index >= chunks.length) {
+          return done(null, results);
+        }
 
-  // begin the transaction.
-  transaction.begin(function (err) {
-    // make sure the begin statement finished successfully.
-    if (err) {
-      return callback(err);
+        // build the bulk table.
+        let table = new sql.Table(insert.tableName);
+        table.create = false;
+
+        for (let i = 0; i < insert.columns.length; i++) {
+          table.columns.add(insert.columns[i], types[i], { nullable: true });
+        }
+
+        for (let i = 0; i < chunks[index].length; i++) {
+          table.rows.add.apply(table.rows, chunks[index][i]);
+        }
+
+        // load the chunk.
+        new sql.Request(transaction).bulk(table, function (err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          results.rowsAffected += result.rowsAffected;
+          return loadChunk(index + 1);
+        });
+      };
+
+      loadChunk(0);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementReturnResult = function(statement, params, idField, callback) {
+    adapter.runStatement(statement, params, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The transaction object.
+   * @param statement - The sql statement.
+   * @param params - The params array or named parameters object.
+   * @param callback - The finished callback function.
+   * @param multipleResultSets - Flag indicating if multiple result sets should be returned.
+   */
+  adapter.runStatementInTransaction = function(connection, statement, params, callback, multipleResultSets) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
     }
 
-    // run the statement.
-    _this.runStatementInTransaction(transaction, statement, params, function (err, resultSet) {
+    runPreparedStatement(connection, statement, params, multipleResultSets, null, callback);
+  };
+
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The transaction object.
+   * @param statement - The sql statement.
+   * @param params - The params array.
+   * @param idField - The id field of the primary key.
+   * @param callback - The finished callback function.
+   * @param multipleResultSets - Flag indicating if multiple result sets should be returned.
+   */
+  adapter.runStatementInTransactionReturnResult = function(connection, statement, params, idField, callback, multipleResultSets) {
+    adapter.runStatementInTransaction(connection, statement, params, callback, multipleResultSets);
+  };
+
+  /**
+   * Executes a stored procedure.
+   * params:
+   * [
+   *  paramType: 'input' | 'output',
+   *  dataType: dbUtils.TYPES.NVarChar,
+   *  value: <value>
+   * ]
+   * @param procedureName - The call statement.
+   * @param params - The params array.
+   * @param callback - The finished callback funciton.
+   * @param multipleResultSets - flag indicating if multiple results sets are returned.
+   */
+  adapter.executeStoredProcedure = function(procedureName, params, callback, multipleResultSets) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // build the request object.
+    let request = new sql.Request(pool);
+
+    // set the multiple flag.
+    if (multipleResultSets) {
+      request.multiple = true;
+    }
+
+    // holds the names of the output params.
+    let outputParams = [];
+
+    // add the parameters to the call.
+    for (let i = 0; i < params.length; i++) {
+      let currentParam = params[i];
+      if (currentParam.paramType.toLowerCase() === 'input') {
+        request.input(currentParam.name, currentParam.dataType, currentParam.value);
+      }
+      else {
+        request.output(currentParam.name, currentParam.dataType);
+        outputParams.push(currentParam.name);
+      }
+    }
+
+    // execute the proc.
+    request.execute(procedureName, function (err, recordsets, returnValue) {
       if (err) {
+        return callback(err);
+      }
+
+      try {
+        convertRecordsets(recordsets);
+      }
+      catch (ex) {
+        return callback(ex);
+      }
+
+      // get the output values if there are any.
+      let outputValues = {};
+
+      // if there are output params. get the values.
+      if (outputParams.length > 0) {
+
+        // get the output values.
+        for (let i = 0; i < outputParams.length; i++) {
+          // make sure the value is set.
+          if (request.parameters[outputParams[i]]) {
+            outputValues[outputParams[i]] = request.parameters[outputParams[i]].value;
+          }
+        }
+      }
+
+      return callback(null, recordsets, returnValue, outputValues);
+    });
+  };
+
+  /**
+   * Creates and runs a transaction on the database.
+   * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function
+   * or return a promise.
+   * @param callback - The finished callback function. callback(err, result);
+   * @param [options] - The transaction options. { connection, isolationLevel, readOnly, lockTimeout }
+   * Pass the connection of an open transaction to run the execute function in a savepoint of that transaction.
+   * The isolation level is passed to transaction.begin and the lock timeout is set with SET LOCK_TIMEOUT until
+   * the transaction ends. sql server has no read only transactions, so the readOnly option is not supported.
+   */
+  adapter.runTransaction = function(executeFunction, callback, options) {
+    // make sure the connection pool was initialized.
+    if (!poolInitialized) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // a transaction inside of a transaction runs in a savepoint of the outer transaction.
+    if (options && options.connection) {
+      let runSavepointStatement = function (statement, done) {
+        new sql.Request(options.connection).batch(statement, done);
+      };
+
+      // the pool connections run with XACT_ABORT on (abortTransactionOnError), which dooms the whole transaction
+      // on any error. It is turned off until the outer transaction ends, so the savepoint can be rolled back to.
+      let statements = (savepointTransactions.has(options.connection)) ? [] : ['SET XACT_ABORT OFF'];
+
+      return TransactionUtils.runStatements(statements, runSavepointStatement, function (err) {
+        if (err) {
+          return callback(err);
+        }
+
+        savepointTransactions.add(options.connection);
+        TransactionUtils.runInSavepoint(SAVEPOINT_STATEMENTS, runSavepointStatement, options.connection, executeFunction, callback);
+      });
+    }
+
+    // get the isolation level, read only and lock timeout settings.
+    let settings = null;
+
+    try {
+      settings = TransactionUtils.getTransactionSettings(options) || {};
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    if (settings.readOnly) {
+      return callback(new Error('Read only transactions are not supported by mssql.'));
+    }
+
+    // create a transaction connection object.
+    let transaction = new sql.Transaction(pool);
+
+    // runs a statement on the transaction connection.
+    let runStatement = function (statement, done) {
+      new sql.Request(transaction).batch(statement, done);
+    };
+
+    // the lock timeout is a session setting, so it is put back before the connection goes back to the pool.
+    let lockStatements = (settings.lockTimeout) ? {
+      before: ['SET LOCK_TIMEOUT ' + settings.lockTimeout],
+      after: ['SET LOCK_TIMEOUT -1']
+    } : { before: [], after: [] };
+
+    // commits or rolls back the transaction.
+    let finish = function (er, result) {
+      if (er) {
         transaction.rollback(function (e) {
           if (e) {
             console.log(e);
           }
 
-          return callback(err);
+          return callback(er);
         });
       }
       else {
         // commit the changes.
         transaction.commit(function (e) {
-          return callback(e, resultSet);
+          return callback(e, result);
         });
       }
-    }, multipleResultSets);
-  });
-};
+    };
 
-/**
- * Runs a bulk insert statement.
- * @param statement - The insert statement.
- * @param params - The values. Ex: [[values], [values]]
- * @param callback - The finished callback function. callback(err);
- */
-exports.runBulkInsert = function (statement, params, callback) {
-  return callback(new Error('Bulk insert not supported for mssql adapter.'));
-};
+    // begin the transaction.
+    transaction.begin(getIsolationLevel(settings.isolationLevel), function (err) {
+      // make sure the begin statement finished successfully.
+      if (err) {
+        return callback(err);
+      }
 
-/**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param statement - The sql statement string with question mark placeholders.
- * @param params - An array of parameters.
- * @param idField - The field name of the ID field.
- * @param callback - The finished callback function. callback(err, results);
- */
-exports.runStatementReturnResult = function(statement, params, idField, callback) {
-  this.runStatement(statement, params, callback);
+      TransactionUtils.runStatements(lockStatements.before, runStatement, function (err) {
+        if (err) {
+          return finish(err);
+        }
+
+        // fire the execute function.
+        CallbackUtils.invokeExecuteFunction(executeFunction, transaction, function (er, result) {
+          // put XACT_ABORT back on before the connection goes back to the pool.
+          let afterStatements = (savepointTransactions.has(transaction)) ?
+            lockStatements.after.concat(['SET XACT_ABORT ON']) : lockStatements.after;
+
+          savepointTransactions.delete(transaction);
+
+          TransactionUtils.runStatements(afterStatements, runStatement, function (e) {
+            if (e) {
+              console.log(e);
+            }
+
+            return finish(er, result);
+          });
+        });
+      });
+    });
+  };
+
+  //======================================================================================
+  // Error Functions.
+  //======================================================================================
+
+  /**
+   * Checks if an error is transient, so the transaction or statement can be run again.
+   * The deadlock victim (1205) and lock request timeout (1222) errors are retryable.
+   * @param err - The error.
+   * @returns {boolean}
+   */
+  adapter.isRetryableError = function (err) {
+    return !!err && _.includes(RETRYABLE_ERROR_NUMBERS, Number(err.number));
+  };
+
+  /**
+   * Wraps a driver error in the matching DbError type. Other errors are returned as they are.
+   * @param err - The error.
+   * @param sqlString - The failing sql string with its placeholders.
+   * @returns {Error}
+   */
+  adapter.toDbError = function (err, sqlString) {
+    return DbErrors.wrapError(err, sqlString, classifyError);
+  };
+
+  //======================================================================================
+  // Schema Functions.
+  //======================================================================================
+
+  /**
+   * Gets the tables and views of the database.
+   * @param callback - The finished callback function. callback(err, [{ schema, name, type }]);
+   */
+  adapter.getTables = function (callback) {
+    SchemaUtils.getTables(runCatalogQuery, CATALOG_QUERIES, callback);
+  };
+
+  /**
+   * Describes the columns, primary key, indexes and foreign keys of a table.
+   * @param tableName - The table name. Ex: users or dbo.users
+   * @param callback - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+   */
+  adapter.describeTable = function (tableName, callback) {
+    SchemaUtils.describeTable(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  /**
+   * Gets the foreign keys of a table.
+   * @param tableName - The table name. Ex: users or dbo.users
+   * @param callback - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+   */
+  adapter.getForeignKeys = function (tableName, callback) {
+    SchemaUtils.getForeignKeys(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  //======================================================================================
+  // Private Functions.
+  //======================================================================================
+
+  /**
+   * Runs a catalog query of the schema functions. The catalog rows are not type converted.
+   * @param sqlString - The catalog query.
+   * @param params - The named parameters object.
+   * @param callback - The finished callback function. callback(err, rows);
+   */
+  function runCatalogQuery(sqlString, params, callback) {
+    adapter.runQuery(sqlString, params, callback, false, { convertTypes: false });
+  }
+
+  /**
+   * Converts the column values of the recordsets of a query result with the type converter.
+   * @param err - The query error.
+   * @param result - The query result.
+   * @param callback - The finished callback function. callback(err, result);
+   */
+  function convertResults(err, result, callback) {
+    if (err) {
+      return callback(err);
+    }
+
+    try {
+      convertRecordsets(result);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    return callback(null, result);
+  }
+
+  /**
+   * Converts the rows of every recordset of a query result in place.
+   * @param result - The query result. { recordsets: Array }
+   * @throws the error of a converter.
+   */
+  function convertRecordsets(result) {
+    _.forEach((result) ? result.recordsets : null, function (recordset) {
+      typeConverter.convertRows(recordset, getColumns(recordset.columns));
+    });
+  }
+
+  return adapter;
 };
 
+//======================================================================================
+// Private Functions.
+//======================================================================================
+
 /**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param connection - The transaction object.
- * @param statement - The sql statement.
- * @param params - The params array.
- * @param callback - The finished callback function.
+ * Prepares and executes a statement on the connection pool or a transaction.
+ * @param connection - The connection pool or transaction object.
+ * @param statement - The sql statement with question mark or :name placeholders.
+ * @param params - The params array or named parameters object.
  * @param multipleResultSets - Flag indicating if multiple result sets should be returned.
+ * @param cancellation - The cancellation of a call with a timeout or abort signal or null. See utilities/cancel-utilities.js.
+ * @param callback - The finished callback function.
  */
-exports.runStatementInTransaction = function(connection, statement, params, callback, multipleResultSets) {
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
-
+function runPreparedStatement(connection, statement, params, multipleResultSets, cancellation, callback) {
   // build the prepared statement object.
   let ps = new sql.PreparedStatement(connection);
   let query = null;
@@ -314,6 +913,15 @@ exports.runStatementInTransaction = function(connection, statement, params, call
   if (isObjectParams(params)) {
     query = convertParamsObjectArrayToQueryObject(statement, params, ps);
   }
+  else if (SqlUtils.isNamedParams(params, statement)) {
+    // convert the :name placeholders to @name inputs.
+    try {
+      query = convertNamedParamsForMSSql(statement, params, ps);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+  }
   else {
     // convert the query.
     query = convertQueryAndParamsForMSSql(statement, params, ps);
@@ -325,8 +933,15 @@ exports.runStatementInTransaction = function(connection, statement, params, call
       return callback(err);
     }
 
+    // the statement was stopped while it was prepared.
+    if (cancellation && cancellation.isCancelled()) {
+      return ps.unprepare(function () {
+        return callback(new Error('The statement was stopped before it ran.'));
+      });
+    }
+
     // execute the statement.
-    ps.execute(query.values, function (er, resultSet) {
+    let request = ps.execute(query.values, function (er, resultSet) {
       // un-prepare the statement.
       ps.unprepare(function(e) {
         if (e) {
@@ -336,139 +951,19 @@ exports.runStatementInTransaction = function(connection, statement, params, call
         return callback(er, resultSet);
       });
     });
-  });
-};
-
-/**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param connection - The transaction object.
- * @param statement - The sql statement.
- * @param params - The params array.
- * @param idField - The id field of the primary key.
- * @param callback - The finished callback function.
- * @param multipleResultSets - Flag indicating if multiple result sets should be returned.
- */
-exports.runStatementInTransactionReturnResult = function(connection, statement, params, idField, callback, multipleResultSets) {
-  this.runStatementInTransaction(connection, statement, params, callback, multipleResultSets);
-};
-
-/**
- * Executes a stored procedure.
- * params:
- * [
- *  paramType: 'input' | 'output',
- *  dataType: dbUtils.TYPES.NVarChar,
- *  value: <value>
- * ]
- * @param procedureName - The call statement.
- * @param params - The params array.
- * @param callback - The finished callback funciton.
- * @param multipleResultSets - flag indicating if multiple results sets are returned.
- */
-exports.executeStoredProcedure = function(procedureName, params, callback, multipleResultSets) {
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
-
-  // build the request object.
-  let request = new sql.Request();
-
-  // set the multiple flag.
-  if (multipleResultSets) {
-    request.multiple = true;
-  }
-
-  // holds the names of the output params.
-  let outputParams = [];
 
-  // add the parameters to the call.
-  for (let i = 0; i < params.length; i++) {
-    let currentParam = params[i];
-    if (currentParam.paramType.toLowerCase() === 'input') {
-      request.input(currentParam.name, currentParam.dataType, currentParam.value);
-    }
-    else {
-      request.output(currentParam.name, currentParam.dataType);
-      outputParams.push(currentParam.name);
-    }
-  }
-
-  // execute the proc.
-  request.execute(procedureName, function (err, recordsets, returnValue) {
-    if (err) {
-      return callback(err);
-    }
-
-    // get the output values if there are any.
-    let outputValues = {};
-
-    // if there are output params. get the values.
-    if (outputParams.length > 0) {
-
-      // get the output values.
-      for (let i = 0; i < outputParams.length; i++) {
-        // make sure the value is set.
-        if (request.parameters[outputParams[i]]) {
-          outputValues[outputParams[i]] = request.parameters[outputParams[i]].value;
-        }
-      }
+    if (cancellation) {
+      cancellation.onCancel(function () {
+        request.cancel();
+      });
     }
-
-    return callback(null, recordsets, returnValue, outputValues);
   });
-};
-
-/**
- * Creates and runs a transaction on the database.
- * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function.
- * @param callback - The finished callback function.
- */
-exports.runTransaction = function(executeFunction, callback) {
-  // make sure the connection pool was initialized.
-  if (!poolInitialized) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
-
-  // create a transaction connection object.
-  let transaction = new sql.Transaction();
-
-  // begin the transaction.
-  transaction.begin(function (err) {
-    // make sure the begin statement finished successfully.
-    if (err) {
-      return callback(err);
-    }
-
-    // fire the execute function.
-    executeFunction(transaction, function (er) {
-      if (er) {
-        transaction.rollback(function (e) {
-          if (e) {
-            console.log(e);
-          }
-
-          return callback(er);
-        });
-      }
-      else {
-        // commit the changes.
-        transaction.commit(function (e) {
-          return callback(e);
-        });
-      }
-    });
-  });
-};
-
-//======================================================================================
-// Private Functions.
-//======================================================================================
+}
 
 /**
  * Converts the standard query the ? placeholders and params array to query with param
- * place holders and an object.
+ * place holders and an object. Question marks inside of string literals, quoted identifiers
+ * and comments are left alone.
  * @param query - The string query.
  * @param params - The params array.
  * @param ps - The prepared statement object.
@@ -482,27 +977,18 @@ function convertQueryAndParamsForMSSql(query, params, ps) {
 
   // used to generate the parameter place holders.
   let paramString = 'param';
-  let index = 0;
-  let i = 0;
 
-  // loop until all ? are found.
-  while((i=query.indexOf('?', i+1)) >= 0) {
+  // replace every ? with @param + index.
+  result.sql = SqlUtils.replacePlaceholders(query, function (index) {
     // build the param name.
     let paramName = paramString + index.toString();
 
-    // replace the question mark with $ + index.
-    query = query.substr(0, i) + '@' + paramName + query.substr(i + 1);
-
     // add the value to the param object.
     result.values[paramName] = params[index];
     ps.input(paramName, getType(params[index]));
 
-    // increment the index.
-    index++;
-  }
-
-  // set the updated query.
-  result.sql = query;
+    return '@' + paramName;
+  });
 
   return result;
 }
@@ -515,6 +1001,9 @@ function getType(value) {
   if (_.isDate(value)) {
     return sql.TYPES.DateTime;
   }
+  else if (Buffer.isBuffer(value)) {
+    return sql.TYPES.VarBinary;
+  }
   else if (_.isString(value)) {
     return sql.TYPES.NVarChar;
   }
@@ -534,6 +1023,48 @@ function getType(value) {
   }
 }
 
+/**
+ * Gets the bulk load column type of the values of a column. Strings, buffers and decimals get a size, so values
+ * don't get truncated. A number column is a Decimal when any value has a fraction and a BigInt when any value is
+ * outside of the Int range. The columns with values of different types are NVarChar.
+ * @param values - The values of the column.
+ */
+function getBulkType(values) {
+  let types = _.uniq(_.map(_.reject(values, _.isNil), getType));
+  let type = sql.TYPES.NVarChar;
+
+  if (types.length === 1) {
+    type = (types[0] === sql.TYPES.Int) ? getIntType(values) : types[0];
+  }
+  else if (types.length === 2 && _.includes(types, sql.TYPES.Int) && _.includes(types, sql.TYPES.Decimal)) {
+    type = sql.TYPES.Decimal;
+  }
+
+  if (type === sql.TYPES.NVarChar) {
+    return sql.TYPES.NVarChar(sql.MAX);
+  }
+  else if (type === sql.TYPES.VarBinary) {
+    return sql.TYPES.VarBinary(sql.MAX);
+  }
+  else if (type === sql.TYPES.Decimal) {
+    return sql.TYPES.Decimal(38, 10);
+  }
+
+  return type;
+}
+
+/**
+ * Gets the integer type that fits all the integers of a column.
+ * @param values - The values of the column.
+ */
+function getIntType(values) {
+  let isInRange = _.every(values, function (value) {
+    return _.isNil(value) || (value >= INT_MIN && value <= INT_MAX);
+  });
+
+  return (isInRange) ? sql.TYPES.Int : sql.TYPES.BigInt;
+}
+
 /**
  * Checks if a number is an integer.
  * @param n
@@ -564,6 +1095,69 @@ function isObjectParams(paramsArray) {
   return result;
 }
 
+/**
+ * Converts a query and its params and adds the params as inputs of a request.
+ * @param queryString - The sql string with question mark or :name placeholders.
+ * @param params - The params array, array of param objects or named parameters object.
+ * @param request - The request object.
+ * @returns {{sql: string, values: {}}}
+ */
+function convertQueryAndParamsForRequest(queryString, params, request) {
+  let types = {};
+  let query = null;
+
+  // collects the input types, the request takes the type and value at once.
+  let inputs = {
+    input: function (name, type) {
+      types[name] = type;
+    }
+  };
+
+  if (isObjectParams(params)) {
+    query = convertParamsObjectArrayToQueryObject(queryString, params, inputs);
+  }
+  else if (SqlUtils.isNamedParams(params, queryString)) {
+    query = convertNamedParamsForMSSql(queryString, params, inputs);
+  }
+  else {
+    query = convertQueryAndParamsForMSSql(queryString, params || [], inputs);
+  }
+
+  _.forOwn(query.values, function (value, name) {
+    request.input(name, types[name], value);
+  });
+
+  return query;
+}
+
+/**
+ * Builds a query object out of a sql string with :name placeholders and a named parameters object.
+ * @param queryString - The sql string with :name placeholders.
+ * @param params - The named parameters object.
+ * @param ps - The prepared statement.
+ * @returns {{sql: string, values: {}}}
+ */
+function convertNamedParamsForMSSql(queryString, params, ps) {
+  let query = SqlUtils.convertNamedParams(queryString, params, (name) => {
+    return '@' + name;
+  });
+
+  // build the result object.
+  let result = {
+    sql: query.sql,
+    values: {}
+  };
+
+  // add an input parameter for every distinct name.
+  for (let i = 0; i < query.names.length; i++) {
+    let name = query.names[i];
+    ps.input(name, getType(params[name]));
+    result.values[name] = params[name];
+  }
+
+  return result;
+}
+
 /**
  * Builds a query object out of the sql and params array.
  * @param sql
@@ -586,3 +1180,102 @@ function convertParamsObjectArrayToQueryObject(sql, params, ps) {
 
   return result;
 }
+
+/**
+ * Finds the DbError type of a mssql error and the constraint or column name in its message.
+ * Ex: Violation of UNIQUE KEY constraint 'UQ_users_email'. returns { type: 'UniqueViolation', constraint: 'UQ_users_email' }.
+ * @param err - The error.
+ * @returns {Object|null} - null when the error doesn't come from the driver.
+ */
+function classifyError(err) {
+  // the errors replayed by the mock adapter only have the name of the driver error class.
+  if (!(err instanceof sql.MSSQLError) && !/^(ConnectionError|TransactionError|RequestError|PreparedStatementError)$/.test(err.name)) {
+    return null;
+  }
+
+  if (err.name === 'ConnectionError' || _.includes(CONNECTION_ERROR_CODES, err.code)) {
+    return {
+      type: 'ConnectionError'
+    };
+  }
+
+  if (err.code === 'ETIMEOUT') {
+    return {
+      type: 'Timeout'
+    };
+  }
+
+  let type = ERROR_TYPES[err.number] || 'DbError';
+
+  // 547 is the error of check constraints as well.
+  if (type === 'ForeignKeyViolation' && !/FOREIGN KEY|REFERENCE/.test(err.message)) {
+    type = 'DbError';
+  }
+
+  if (type === 'UniqueViolation' || type === 'ForeignKeyViolation') {
+    return {
+      type: type,
+      constraint: DbErrors.matchMessage(err, /(?:constraint|unique index) ["'](.+?)["']/),
+      table: DbErrors.matchMessage(err, /(?:object|table) ["'](.+?)["']/)
+    };
+  }
+
+  if (type === 'NotNullViolation') {
+    return {
+      type: type,
+      column: DbErrors.matchMessage(err, /column '(.+?)'/),
+      table: DbErrors.matchMessage(err, /table '(.+?)'/)
+    };
+  }
+
+  return {
+    type: type
+  };
+}
+
+/**
+ * Gets the mssql isolation level of a transaction setting.
+ * @param isolationLevel - The isolation level of the transaction settings. Ex: 'READ COMMITTED'
+ * @returns {number|undefined} - The mssql isolation level or undefined for the default isolation level.
+ */
+function getIsolationLevel(isolationLevel) {
+  return (isolationLevel) ? sql.ISOLATION_LEVEL[isolationLevel.replace(/ /g, '_')] : undefined;
+}
+
+/**
+ * Closes the connection pools of the session stores one after another.
+ * @param sessionStores - The session stores.
+ * @param callback - The finished callback function. callback(err); The first close error is returned.
+ */
+function closeSessionStores(sessionStores, callback) {
+  let firstError = null;
+  let index = 0;
+
+  let closeNext = function () {
+    if (index >= sessionStores.length) {
+      return callback(firstError);
+    }
+
+    sessionStores[index++].databaseConnection.close(function (err) {
+      firstError = firstError || err || null;
+      closeNext();
+    });
+  };
+
+  closeNext();
+}
+
+/**
+ * Gets the columns of the type converter out of the columns of a recordset.
+ * @param columns - The recordset columns by their name. { name: { name, type, length } }
+ * @returns {Array} - [{ name, type, length }]
+ */
+function getColumns(columns) {
+  return _.map(columns, function (column) {
+    return {
+      name: column.name,
+      type: (column.type && column.type.declaration) ? _.toUpper(column.type.declaration) : null,
+      length: (_.isNil(column.length)) ? null : column.length
+    };
+  });
+}
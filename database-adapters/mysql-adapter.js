@@ -3,375 +3,946 @@
 // dependencies.
 const mysql = require('mysql');
 const _ = require('lodash');
+const CallbackUtils = require('../utilities/callback-utilities');
+const SqlUtils = require('../utilities/sql-utilities');
+const StreamUtils = require('../utilities/stream-utilities');
+const SchemaUtils = require('../utilities/schema-utilities');
+const TransactionUtils = require('../utilities/transaction-utilities');
+const CancelUtils = require('../utilities/cancel-utilities');
+const TypeConversion = require('../utilities/type-conversion');
+const DbErrors = require('../utilities/db-errors');
+
+// the time in milliseconds between the keepalive pings of the session stores (the connect-mysql default).
+const SESSION_KEEPALIVE = 30000;
+
+// the INFORMATION_SCHEMA queries of the schema functions. The schema defaults to the current database.
+const CATALOG_QUERIES = {
+  tables: 'SELECT TABLE_SCHEMA AS table_schema, TABLE_NAME AS table_name, TABLE_TYPE AS table_type ' +
+    'FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME',
+  columns: 'SELECT TABLE_SCHEMA AS table_schema, COLUMN_NAME AS column_name, ORDINAL_POSITION AS ordinal_position, ' +
+    'DATA_TYPE AS data_type, CHARACTER_MAXIMUM_LENGTH AS max_length, NUMERIC_PRECISION AS numeric_precision, ' +
+    'NUMERIC_SCALE AS numeric_scale, IS_NULLABLE AS is_nullable, COLUMN_DEFAULT AS column_default, ' +
+    "EXTRA LIKE '%auto_increment%' AS is_auto_increment " +
+    'FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = COALESCE(:schema, DATABASE()) AND TABLE_NAME = :table ' +
+    'ORDER BY ORDINAL_POSITION',
+  indexes: "SELECT INDEX_NAME AS index_name, COLUMN_NAME AS column_name, NON_UNIQUE = 0 AS is_unique, INDEX_NAME = 'PRIMARY' AS is_primary " +
+    'FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = COALESCE(:schema, DATABASE()) AND TABLE_NAME = :table ' +
+    'ORDER BY INDEX_NAME, SEQ_IN_INDEX',
+  foreignKeys: 'SELECT k.CONSTRAINT_NAME AS constraint_name, k.COLUMN_NAME AS column_name, ' +
+    'k.REFERENCED_TABLE_SCHEMA AS referenced_schema, k.REFERENCED_TABLE_NAME AS referenced_table, ' +
+    'k.REFERENCED_COLUMN_NAME AS referenced_column, r.UPDATE_RULE AS update_rule, r.DELETE_RULE AS delete_rule ' +
+    'FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k ' +
+    'JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME ' +
+    'WHERE k.TABLE_SCHEMA = COALESCE(:schema, DATABASE()) AND k.TABLE_NAME = :table AND k.REFERENCED_TABLE_NAME IS NOT NULL ' +
+    'ORDER BY k.CONSTRAINT_NAME, k.ORDINAL_POSITION'
+};
 
-// save the db options.
-let dbOptions = null;
-let pool = null;
+// the error codes of deadlocks and lock wait timeouts.
+const RETRYABLE_ERROR_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+// the DbError types of the driver error codes. See utilities/db-errors.js.
+const ERROR_TYPES = {
+  ER_DUP_ENTRY: 'UniqueViolation',
+  ER_NO_REFERENCED_ROW: 'ForeignKeyViolation',
+  ER_NO_REFERENCED_ROW_2: 'ForeignKeyViolation',
+  ER_ROW_IS_REFERENCED: 'ForeignKeyViolation',
+  ER_ROW_IS_REFERENCED_2: 'ForeignKeyViolation',
+  ER_BAD_NULL_ERROR: 'NotNullViolation',
+  ER_NO_DEFAULT_FOR_FIELD: 'NotNullViolation',
+  ER_LOCK_DEADLOCK: 'Deadlock',
+  ER_LOCK_WAIT_TIMEOUT: 'Timeout',
+  ER_QUERY_TIMEOUT: 'Timeout',
+  PROTOCOL_SEQUENCE_TIMEOUT: 'Timeout',
+  ECONNREFUSED: 'ConnectionError',
+  ECONNRESET: 'ConnectionError',
+  ENOTFOUND: 'ConnectionError',
+  ETIMEDOUT: 'ConnectionError',
+  EPIPE: 'ConnectionError',
+  PROTOCOL_CONNECTION_LOST: 'ConnectionError',
+  POOL_CLOSED: 'ConnectionError',
+  ER_ACCESS_DENIED_ERROR: 'ConnectionError',
+  ER_CON_COUNT_ERROR: 'ConnectionError',
+  ER_PARSE_ERROR: 'SyntaxError',
+  ER_BAD_FIELD_ERROR: 'SyntaxError',
+  ER_NO_SUCH_TABLE: 'SyntaxError'
+};
 
-//======================================================================================
-// Initialization and Destruction Functions.
-//======================================================================================
+// the column types of the driver that have another name in sql. See mysql.Types.
+const COLUMN_TYPES = {
+  TINY: 'TINYINT',
+  SHORT: 'SMALLINT',
+  LONG: 'INT',
+  INT24: 'MEDIUMINT',
+  LONGLONG: 'BIGINT',
+  NEWDECIMAL: 'DECIMAL',
+  NEWDATE: 'DATE',
+  TIMESTAMP2: 'TIMESTAMP',
+  DATETIME2: 'DATETIME',
+  VAR_STRING: 'VARCHAR',
+  STRING: 'CHAR'
+};
+
+// the statements of the savepoints of nested transactions.
+const SAVEPOINT_STATEMENTS = {
+  savepoint: 'SAVEPOINT ',
+  rollback: 'ROLLBACK TO SAVEPOINT ',
+  release: 'RELEASE SAVEPOINT '
+};
 
 /**
- * Configures and initialized the mysql module and database connection.
- * @param options - The configuration options object from the config module.
- * @param callback - The finished callback function.
+ * Creates a new mysql adapter instance. Every instance has its own connection pool.
+ * @returns {Object} - The adapter object.
  */
-exports.configure = (options, callback) => {
-  // if the pool is already configured, just fire the finished callback.
-  if (pool) {
-    return callback();
-  }
+exports.createAdapter = () => {
+  // the adapter object.
+  const adapter = {};
+
+  // save the db options.
+  let dbOptions = null;
+  let pool = null;
+
+  // converts the column values of the query results. See utilities/type-conversion.js.
+  let typeConverter = null;
+
+  // the keepalive timers of the session stores, so close can stop them.
+  let sessionTimers = [];
+
+  //======================================================================================
+  // Initialization and Destruction Functions.
+  //======================================================================================
+
+  /**
+   * Configures and initialized the mysql module and database connection.
+   * @param options - The configuration options object from the config module.
+   * @param callback - The finished callback function.
+   */
+  adapter.configure = (options, callback) => {
+    // if the pool is already configured, just fire the finished callback.
+    if (pool) {
+      return callback();
+    }
 
-  // build the mysql specific connection pool options.
-  let config = {
-    host: options.server,
-    port: options.port,
-    user: options.username,
-    password: options.password,
-    database: options.dbName,
-    connectionLimit: options.connectionPoolLimit,
-    sessionTableName: options.sessionTableName,
-    sessionSecret: options.sessionSecret,
-    acquireTimeout: 30000,
-    multipleStatements: options.multipleStatements,
-    ssl: options.ssl
-  };
+    // build the mysql specific connection pool options.
+    let config = {
+      host: options.server,
+      port: options.port,
+      user: options.username,
+      password: options.password,
+      database: options.dbName,
+      connectionLimit: options.connectionPoolLimit,
+      sessionTableName: options.sessionTableName,
+      sessionSecret: options.sessionSecret,
+      acquireTimeout: options.acquireTimeout || 30000,
+      multipleStatements: options.multipleStatements,
+      ssl: options.ssl
+    };
+
+    // the decimals are read as strings, so the decimal type conversion doesn't lose precision.
+    if (options.typeConversion && options.typeConversion.decimal) {
+      config.typeCast = readDecimalsAsStrings;
+    }
 
-  // save the options.
-  dbOptions = config;
+    try {
+      typeConverter = TypeConversion.createTypeConverter(options.typeConversion);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
 
-  // create the mysql connection pool.
-  pool = mysql.createPool(config);
+    // save the options.
+    dbOptions = config;
 
-  // wait for a connection to be established.
-  return callback();
-};
+    // create the mysql connection pool.
+    pool = mysql.createPool(config);
 
-/**
- * Performs the de-allocation/pool destruction code when application is exiting.
- * @param callback - The finished callback function.
- */
-exports.close = (callback) => {
-  // if the pool wasn't created yet. Just fire the callback.
-  if (!pool) {
+    // wait for a connection to be established.
     return callback();
-  }
+  };
 
-  // destroy the pool.
-  pool.end((err) => {
-    return callback(err);
-  });
-};
+  /**
+   * Performs the de-allocation/pool destruction code when application is exiting.
+   * @param callback - The finished callback function.
+   */
+  adapter.close = (callback) => {
+    // if the pool wasn't created yet. Just fire the callback.
+    if (!pool) {
+      return callback();
+    }
 
-/**
- * Gets the mysql session store object for express.
- * @param callback - The finished callback function.
- */
-exports.getSessionStore = (callback) => {
-  // make sure the module has been configured first.
-  if (!pool) {
-    return callback(new Error('DB connection pool not initialized.'));
-  }
+    // stop the keepalive pings of the session stores.
+    _.forEach(sessionTimers, clearInterval);
+    sessionTimers = [];
+
+    // destroy the pool.
+    pool.end((err) => {
+      pool = null;
+      return callback(err);
+    });
+  };
 
-  // setup the session store.
-  let expressSession = require('express-session');
-  let MySQLStore = require('connect-mysql')(expressSession);
+  /**
+   * Gets the connection counts of the pool. The mysql pool has no public counters, so its connection lists are read.
+   * @returns {Object|null} - { total, idle, inUse, waiting } or null when the pool wasn't created yet.
+   */
+  adapter.getPoolStats = () => {
+    if (!pool) {
+      return null;
+    }
 
-  // build the config options.
-  let config = {
-    pool: pool,
-    table: (dbOptions.sessionTableName) ? dbOptions.sessionTableName : 'session',
-    secret: (dbOptions.sessionSecret) ? dbOptions.sessionSecret : 'SECRETSTRINGSHHH',
-    cleanup: (dbOptions.cleanup) ? dbOptions.cleanup : false
+    let total = pool._allConnections.length;
+    let idle = pool._freeConnections.length;
+
+    return {
+      total: total,
+      idle: idle,
+      inUse: total - idle,
+      waiting: pool._connectionQueue.length
+    };
   };
 
-  // return a new instance of the MySQL session store.
-  return callback(null, new MySQLStore(config));
-};
+  /**
+   * Gets the mysql session store object for express. The store uses the adapter pool and stops with the adapter.
+   * @param callback - The finished callback function.
+   */
+  adapter.getSessionStore = (callback) => {
+    // make sure the module has been configured first.
+    if (!pool) {
+      return callback(new Error('DB connection pool not initialized.'));
+    }
 
-//======================================================================================
-// SQL Functions.
-//======================================================================================
+    // setup the session store.
+    let expressSession = require('express-session');
+    let MySQLStore = require('connect-mysql')(expressSession);
+
+    // build the config options.
+    let config = {
+      pool: pool,
+      table: (dbOptions.sessionTableName) ? dbOptions.sessionTableName : 'session',
+      secret: (dbOptions.sessionSecret) ? dbOptions.sessionSecret : 'SECRETSTRINGSHHH',
+      cleanup: (dbOptions.cleanup) ? dbOptions.cleanup : false,
+      keepalive: false
+    };
+
+    let store = new MySQLStore(config);
+
+    // the store can't stop its own keepalive timer, so the pings are sent from here.
+    sessionTimers.push(setInterval(() => {
+      store.query((connection, done) => {
+        connection.ping();
+        done();
+      }, _.noop);
+    }, SESSION_KEEPALIVE));
+
+    // return a new instance of the MySQL session store.
+    return callback(null, store);
+  };
 
-/**
- * Runs a string query with no external parameters on the database.
- * @param sqlQuery - The string query.
- * @param callback - The finished callback function. callback(err, rows);
- * @returns {*}
- */
-exports.runStringQuery = (sqlQuery, callback) => {
-  // make sure the pool is initialized first.
-  if (!pool) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+  //======================================================================================
+  // SQL Functions.
+  //======================================================================================
+
+  /**
+   * Runs a string query with no external parameters on the database.
+   * @param sqlQuery - The string query.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @returns {*}
+   */
+  adapter.runStringQuery = (sqlQuery, callback) => {
+    // make sure the pool is initialized first.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
 
-  // get a pooled connection.
-  pool.getConnection((err, connection) => {
-    // check if an error occurred.
-    if (err) {
-      // release the connection.
-      if (connection) {
-        connection.release();
+    // get a pooled connection.
+    pool.getConnection((err, connection) => {
+      // check if an error occurred.
+      if (err) {
+        // release the connection.
+        if (connection) {
+          connection.release();
+        }
+        return callback(err);
       }
-      return callback(err);
-    }
 
-    // fire the query.
-    connection.query(sqlQuery, (err, rows) => {
-      // release the connection back to the pool.
-      connection.release();
+      // fire the query.
+      connection.query(sqlQuery, (err, rows, fields) => {
+        // release the connection back to the pool.
+        connection.release();
 
-      // return the results.
-      return callback(err, rows);
+        // return the results.
+        return convertResults(err, rows, fields, callback);
+      });
     });
-  });
-};
+  };
 
-/**
- * Runs a sql query with parameters to be inserted into the statement.
- * @param sqlString - The sql string with question mark placeholders.
- * @param params - The array parameters to be added to the sql query.
- * @param callback - The finished callback function. callback(err, rows);
- */
-exports.runQuery = (sqlString, params, callback) => {
-  // make sure the pool is initialized.
-  if (!pool) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+  /**
+   * Runs a sql query with parameters to be inserted into the statement.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object to be added to the sql query.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Not used by mysql.
+   * @param [options] - The query options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runQuery = (sqlString, params, callback, multipleResultSets, options) => {
+    runPooledQuery(sqlString, params, options, callback);
+  };
 
-  // get a connection from the connection pool.
-  pool.getConnection((err, connection) => {
-    // check if an error occurred.
-    if (err) {
-      // release the connection.
+
+  /**
+   * Runs a sql query and streams the rows. The connection is paused while the consumer is behind
+   * and destroyed when the stream is destroyed before all rows were read.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object to be added to the sql query.
+   * @param options - The stream options. { highWaterMark: Number }
+   * @returns {Readable} - The object mode stream of rows.
+   */
+  adapter.streamQuery = (sqlString, params, options) => {
+    let connection = null;
+    let finished = false;
+
+    let stream = StreamUtils.createRowStream(options, () => {
       if (connection) {
-        connection.release();
+        connection.resume();
+      }
+    }, (done) => {
+      // a connection with unread rows can't go back to the pool.
+      if (connection && !finished) {
+        connection.destroy();
       }
-      return callback(err);
-    }
 
+      connection = null;
+      return done();
+    });
 
-    // fire the query.
-    connection.query(sqlString, params, (err, rows) => {
-      // release the connection back to the pool.
-      connection.release();
+    // make sure the pool is initialized.
+    if (!pool) {
+      return StreamUtils.failStream(stream, new Error('Connection pool not initialized.'));
+    }
 
-      // return the results.
-      return callback(err, rows);
-    });
-  });
-};
+    // convert named parameters to question mark placeholders.
+    let query = null;
 
-/**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param statement - The sql statement string with question mark placeholders.
- * @param params - An array of parameters.
- * @param callback - The finished callback function. callback(err, results);
- */
-exports.runStatement = (statement, params, callback) => {
-  // make sure the pool is initialized.
-  if (!pool) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+    try {
+      query = SqlUtils.toPositionalQuery(sqlString, params);
+    }
+    catch (ex) {
+      return StreamUtils.failStream(stream, ex);
+    }
 
-  // get a connection from the connection pool.
-  pool.getConnection((err, connection) => {
-    // check if an error occurred.
-    if (err) {
-      // release the connection.
-      if (connection) {
-        connection.release();
+    // get a connection from the connection pool.
+    pool.getConnection((err, poolConnection) => {
+      if (err) {
+        return stream.destroy(err);
       }
-      return callback(err);
-    }
 
-    // fire the query.
-    connection.query(statement, params, (err, results) => {
-      // release the connection back to the pool.
-      connection.release();
+      // the consumer stopped before the query started.
+      if (stream.destroyed) {
+        return poolConnection.release();
+      }
 
-      // return the results.
-      return callback(err, results);
+      connection = poolConnection;
+
+      let columns = [];
+
+      connection.query(query.sql, query.params)
+        .on('fields', (fields) => {
+          columns = getColumns(fields);
+        })
+        .on('result', (row) => {
+          if (stream.destroyed) {
+            return;
+          }
+
+          // convert the row like the rows of runQuery.
+          try {
+            typeConverter.convertRows([row], columns);
+          }
+          catch (ex) {
+            return stream.destroy(ex);
+          }
+
+          // pause the connection until the consumer reads more rows.
+          if (!stream.push(row)) {
+            connection.pause();
+          }
+        })
+        .on('error', (err) => {
+          stream.destroy(err);
+        })
+        .on('end', () => {
+          if (stream.destroyed) {
+            return;
+          }
+
+          // release the connection back to the pool.
+          finished = true;
+          connection.release();
+          connection = null;
+
+          stream.push(null);
+        });
     });
-  });
-};
 
-/**
- * Runs a bulk insert statement.
- * @param statement - The insert statement.
- * @param params - The values. Ex: [[values], [values]]
- * @param callback - The finished callback function. callback(err);
- */
-exports.runBulkInsert = (statement, params, callback) => {
-  // make sure the pool is initialized.
-  if (!pool) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+    return stream;
+  };
 
-  // get a connection from the connection pool.
-  pool.getConnection((err, connection) => {
-    // check if an error occurred.
-    if (err) {
-      // release the connection.
-      if (connection) {
-        connection.release();
-      }
-      return callback(err);
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param statement - The sql statement string with question mark or :name placeholders.
+   * @param params - An array of parameters or named parameters object.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Not used by mysql.
+   * @param [options] - The statement options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runStatement = (statement, params, callback, multipleResultSets, options) => {
+    runPooledQuery(statement, params, options, callback);
+  };
+
+
+  /**
+   * Runs a bulk insert statement.
+   * @param statement - The insert statement.
+   * @param params - The values. Ex: [[values], [values]]
+   * @param callback - The finished callback function. callback(err);
+   */
+  adapter.runBulkInsert = (statement, params, callback) => {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
     }
 
-    // fire the query.
-    connection.query(statement, [params], (err, results) => {
-      // release the connection back to the pool.
-      connection.release();
+    // get a connection from the connection pool.
+    pool.getConnection((err, connection) => {
+      // check if an error occurred.
+      if (err) {
+        // release the connection.
+        if (connection) {
+          connection.release();
+        }
+        return callback(err);
+      }
 
-      // return the results.
-      return callback(err, results);
+      // fire the query.
+      connection.query(statement, [params], (err, results) => {
+        // release the connection back to the pool.
+        connection.release();
+
+        // return the results.
+        return callback(err, results);
+      });
     });
-  });
-};
+  };
 
-/**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param statement - The sql statement string with question mark placeholders.
- * @param params - An array of parameters.
- * @param idField - The field name of the ID field.
- * @param callback - The finished callback function. callback(err, results);
- */
-exports.runStatementReturnResult = (statement, params, idField, callback) => {
-  this.runStatement(statement, params, callback);
-};
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementReturnResult = (statement, params, idField, callback) => {
+    adapter.runStatement(statement, params, callback);
+  };
 
-/**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param connection - The sql connection.
- * @param statement - The sql statement string with question mark placeholders.
- * @param params - An array of parameters.
- * @param callback - The finished callback function. callback(err, results);
- */
-exports.runStatementInTransaction = (connection, statement, params, callback) => {
-  // make sure the pool is initialized.
-  if (!pool) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The sql connection.
+   * @param statement - The sql statement string with question mark or :name placeholders.
+   * @param params - An array of parameters or named parameters object.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementInTransaction = (connection, statement, params, callback) => {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
 
-  // fire the query.
-  connection.query(statement, params, (err, results) => {
-    // return the results.
-    return callback(err, results);
-  });
-};
+    // convert named parameters to question mark placeholders.
+    let query = null;
 
-/**
- * Runs a sql update, insert, delete on the database with an array of parameters to
- * inject into the sql statement.
- * @param connection - The sql connection.
- * @param statement - The sql statement string with question mark placeholders.
- * @param params - An array of parameters.
- * @param idField - The field name of the ID field.
- * @param callback - The finished callback function. callback(err, results);
- */
-exports.runStatementInTransactionReturnResult = (connection, statement, params, idField, callback) => {
-  this.runStatementInTransaction(connection, statement, params, callback);
-};
+    try {
+      query = SqlUtils.toPositionalQuery(statement, params);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
 
-/**
- * Executes a stored procedure and returns the results.
- * @param sql - The sql call.
- * @param params - Array of parameters needed by the call.
- * @param callback - The finished callback function.
- */
-exports.executeStoredProcedure = (sql, params, callback) => {
-  if (!pool) {
-    return callback(new Error('Connection pool not initialized.'));
-  }
+    // fire the query.
+    connection.query(query.sql, query.params, (err, results) => {
+      // return the results.
+      return callback(err, results);
+    });
+  };
 
-  // get a connection from the connection pool.
-  pool.getConnection((err, connection) => {
-    // check if an error occurred.
-    if (err) {
-      // release the connection.
-      if (connection) {
-        connection.release();
-      }
-      return callback(err);
-    }
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The sql connection.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementInTransactionReturnResult = (connection, statement, params, idField, callback) => {
+    adapter.runStatementInTransaction(connection, statement, params, callback);
+  };
 
-    // run the procedure.
-    connection.query(sql, params, (err, results) => {
-      // release the connection back to the pool.
-      connection.release();
+  /**
+   * Executes a stored procedure and returns the results.
+   * @param sql - The sql call.
+   * @param params - Array of parameters needed by the call.
+   * @param callback - The finished callback function.
+   */
+  adapter.executeStoredProcedure = (sql, params, callback) => {
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
 
+    // get a connection from the connection pool.
+    pool.getConnection((err, connection) => {
       // check if an error occurred.
       if (err) {
+        // release the connection.
+        if (connection) {
+          connection.release();
+        }
         return callback(err);
       }
 
-      // parse the results object.
-      if (_.isArray(results)) {
-        return callback(null, results[0]);
-      }
-      else {
-        return callback(null, results);
-      }
+      // run the procedure.
+      connection.query(sql, params, (err, results, fields) => {
+        // release the connection back to the pool.
+        connection.release();
+
+        // check if an error occurred.
+        if (err) {
+          return callback(err);
+        }
+
+        try {
+          convertResultSets(results, fields);
+        }
+        catch (ex) {
+          return callback(ex);
+        }
+
+        // parse the results object.
+        if (_.isArray(results)) {
+          return callback(null, results[0]);
+        }
+        else {
+          return callback(null, results);
+        }
+      });
     });
-  });
-};
+  };
 
-/**
- * Creates and runs a transaction on the database.
- * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function.
- * @param callback - The finished callback function.
- */
-exports.runTransaction = (executeFunction, callback) => {
-  // get a connection from the connection pool.
-  pool.getConnection((err, connection) => {
-    // check if an error occurred.
-    if (err) {
-      // release the connection.
-      if (connection) {
-        connection.release();
-      }
+  /**
+   * Creates and runs a transaction on the database.
+   * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function
+   * or return a promise.
+   * @param callback - The finished callback function. callback(err, result);
+   * @param [options] - The transaction options. { connection, isolationLevel, readOnly, lockTimeout }
+   * Pass the connection of an open transaction to run the execute function in a savepoint of that transaction.
+   * The isolation level and read only options are set with SET TRANSACTION before the transaction begins.
+   * The lock timeout sets the innodb_lock_wait_timeout of the session in whole seconds for the transaction.
+   * The SNAPSHOT isolation level is not supported.
+   */
+  adapter.runTransaction = (executeFunction, callback, options) => {
+    // a transaction inside of a transaction runs in a savepoint of the outer transaction.
+    if (options && options.connection) {
+      return TransactionUtils.runInSavepoint(SAVEPOINT_STATEMENTS, (statement, done) => {
+        adapter.runStatementInTransaction(options.connection, statement, [], done);
+      }, options.connection, executeFunction, callback);
+    }
 
-      return callback(err);
+    // get the isolation level, read only and lock timeout settings.
+    let settingStatements = null;
+
+    try {
+      settingStatements = getSettingStatements(TransactionUtils.getTransactionSettings(options));
+    }
+    catch (ex) {
+      return callback(ex);
     }
 
-    // begin a transaction.
-    connection.beginTransaction((err) => {
-      // check if an error occurred creating a transaction.
+    // get a connection from the connection pool.
+    pool.getConnection((err, connection) => {
+      // check if an error occurred.
       if (err) {
-        connection.release();
+        // release the connection.
+        if (connection) {
+          connection.release();
+        }
+
         return callback(err);
       }
 
-      // execute the function.
-      executeFunction(connection, (err) => {
-        // check if an error occurred.
-        if (err) {
-          // rollback any changes in the event of an error.
-          connection.rollback(() => {
+      let runStatement = (statement, done) => {
+        connection.query(statement, done);
+      };
+
+      // puts the session settings back before the connection goes back to the pool.
+      let finish = (err, result) => {
+        TransactionUtils.runStatements(settingStatements.after, runStatement, (e) => {
+          // a connection with unknown session settings is removed from the pool.
+          if (e) {
+            console.log(e);
+            connection.destroy();
+          }
+          else {
             connection.release();
-            return callback(err);
-          });
+          }
+
+          return callback(err, result);
+        });
+      };
+
+      // the transaction settings only apply to the next transaction of the connection.
+      TransactionUtils.runStatements(settingStatements.before, runStatement, (err) => {
+        if (err) {
+          connection.destroy();
+          return callback(err);
         }
-        else {
-          connection.commit((err) => {
+
+        // begin a transaction.
+        connection.beginTransaction((err) => {
+          // check if an error occurred creating a transaction.
+          if (err) {
+            return finish(err);
+          }
+
+          // execute the function.
+          CallbackUtils.invokeExecuteFunction(executeFunction, connection, (err, result) => {
+            // check if an error occurred.
             if (err) {
+              // rollback any changes in the event of an error.
               connection.rollback(() => {
-                connection.release();
-                return callback(err);
+                return finish(err);
               });
             }
             else {
-              connection.release();
-              return callback();
+              connection.commit((err) => {
+                if (err) {
+                  connection.rollback(() => {
+                    return finish(err);
+                  });
+                }
+                else {
+                  return finish(null, result);
+                }
+              });
             }
           });
+        });
+      });
+    });
+  };
+
+  //======================================================================================
+  // Error Functions.
+  //======================================================================================
+
+  /**
+   * Checks if an error is transient, so the transaction or statement can be run again.
+   * The ER_LOCK_DEADLOCK and ER_LOCK_WAIT_TIMEOUT errors are retryable.
+   * @param err - The error.
+   * @returns {boolean}
+   */
+  adapter.isRetryableError = (err) => {
+    return !!err && _.includes(RETRYABLE_ERROR_CODES, err.code);
+  };
+
+  /**
+   * Wraps a driver error in the matching DbError type. Other errors are returned as they are.
+   * @param err - The error.
+   * @param sql - The failing sql string with its placeholders.
+   * @returns {Error}
+   */
+  adapter.toDbError = (err, sql) => {
+    return DbErrors.wrapError(err, sql, classifyError);
+  };
+
+  //======================================================================================
+  // Schema Functions.
+  //======================================================================================
+
+  /**
+   * Gets the tables and views of the current database.
+   * @param callback - The finished callback function. callback(err, [{ schema, name, type }]);
+   */
+  adapter.getTables = (callback) => {
+    SchemaUtils.getTables(runCatalogQuery, CATALOG_QUERIES, callback);
+  };
+
+  /**
+   * Describes the columns, primary key, indexes and foreign keys of a table.
+   * @param tableName - The table name. Ex: users or mydb.users
+   * @param callback - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+   */
+  adapter.describeTable = (tableName, callback) => {
+    SchemaUtils.describeTable(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  /**
+   * Gets the foreign keys of a table.
+   * @param tableName - The table name. Ex: users or mydb.users
+   * @param callback - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+   */
+  adapter.getForeignKeys = (tableName, callback) => {
+    SchemaUtils.getForeignKeys(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  //======================================================================================
+  // Private Functions.
+  //======================================================================================
+
+  /**
+   * Runs a catalog query of the schema functions. The catalog rows are not type converted.
+   * @param sqlString - The catalog query.
+   * @param params - The named parameters object.
+   * @param callback - The finished callback function. callback(err, rows);
+   */
+  function runCatalogQuery(sqlString, params, callback) {
+    adapter.runQuery(sqlString, params, callback, false, { convertTypes: false });
+  }
+
+  /**
+   * Runs a query or statement on a connection of the pool. A query that times out or is cancelled can't be
+   * stopped on its own connection, so the connection is destroyed and the query is killed on the server.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object.
+   * @param options - The call options. { timeoutMs: Number, signal: AbortSignal }
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  function runPooledQuery(sqlString, params, options, callback) {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // convert named parameters to question mark placeholders.
+    let query = null;
+
+    try {
+      query = SqlUtils.toPositionalQuery(sqlString, params);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    CancelUtils.runCancellable(options, sqlString, (cancellation, done) => {
+      // get a connection from the connection pool.
+      pool.getConnection((err, connection) => {
+        // check if an error occurred.
+        if (err) {
+          // release the connection.
+          if (connection) {
+            connection.release();
+          }
+          return done(err);
         }
+
+        // the query was stopped while it waited on a connection.
+        if (cancellation.isCancelled()) {
+          connection.release();
+          return done(new Error('The query was stopped before it ran.'));
+        }
+
+        // fire the query.
+        connection.query(query.sql, query.params, (err, results, fields) => {
+          // release the connection back to the pool.
+          connection.release();
+
+          // the convertTypes option turns the type conversion off. Ex: the catalog queries of the schema functions.
+          if (options && options.convertTypes === false) {
+            return done(err, results);
+          }
+
+          // return the results.
+          return convertResults(err, results, fields, done);
+        });
+
+        cancellation.onCancel(() => {
+          let threadId = connection.threadId;
+
+          // a destroyed connection doesn't fire the query callback anymore.
+          connection.destroy();
+          done(new Error('The query was stopped.'));
+
+          pool.query('KILL QUERY ' + threadId, (e) => {
+            if (e) {
+              console.log(e);
+            }
+          });
+        });
       });
+    }, callback);
+  }
+
+  /**
+   * Converts the column values of the results of a query with the type converter.
+   * @param err - The query error.
+   * @param results - The rows or result sets of the query.
+   * @param fields - The fields of the query.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  function convertResults(err, results, fields, callback) {
+    if (err) {
+      return callback(err);
+    }
+
+    try {
+      convertResultSets(results, fields);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    return callback(null, results);
+  }
+
+  /**
+   * Converts the rows of every result set in place. Queries with multiple statements and stored procedure
+   * calls return an array of result sets with an array of fields per result set.
+   * @param results - The rows or result sets.
+   * @param fields - The fields or the fields per result set.
+   * @throws the error of a converter.
+   */
+  function convertResultSets(results, fields) {
+    if (!_.isArray(results)) {
+      return;
+    }
+
+    if (!_.isArray(results[0])) {
+      typeConverter.convertRows(results, getColumns(fields));
+      return;
+    }
+
+    _.forEach(results, (resultSet, index) => {
+      if (_.isArray(resultSet) && fields) {
+        typeConverter.convertRows(resultSet, getColumns(fields[index]));
+      }
     });
-  });
+  }
+
+  return adapter;
 };
+
+//======================================================================================
+// Private Functions.
+//======================================================================================
+
+/**
+ * Gets the columns of the type converter out of the fields of a query.
+ * @param fields - The fields of the driver.
+ * @returns {Array} - [{ name, type, length }]
+ */
+function getColumns(fields) {
+  return _.map(fields, (field) => {
+    let type = mysql.Types[field.type];
+
+    return {
+      name: field.name,
+      type: COLUMN_TYPES[type] || type || null,
+      length: (_.isNil(field.length)) ? null : field.length
+    };
+  });
+}
+
+/**
+ * The typeCast of the pool when decimals are converted. Returns decimals as strings and leaves
+ * the other columns to the driver.
+ * @param field - The field of the driver.
+ * @param next - Casts the value the default way.
+ * @returns {*}
+ */
+function readDecimalsAsStrings(field, next) {
+  if (field.type === 'NEWDECIMAL' || field.type === 'DECIMAL') {
+    return field.string();
+  }
+
+  return next();
+}
+
+/**
+ * Finds the DbError type of a mysql error and the constraint or column name in its message.
+ * Ex: Duplicate entry 'bob' for key 'users.email_UNIQUE' returns { type: 'UniqueViolation', constraint: 'email_UNIQUE' }.
+ * @param err - The error.
+ * @returns {Object|null} - null when the error doesn't come from the driver.
+ */
+function classifyError(err) {
+  // the driver sets the sqlMessage of server errors and the fatal flag of connection errors.
+  if (!err.code || !(_.has(err, 'sqlMessage') || _.has(err, 'fatal') || _.startsWith(err.code, 'POOL_'))) {
+    return null;
+  }
+
+  let type = ERROR_TYPES[err.code] || 'DbError';
+
+  if (type === 'UniqueViolation') {
+    let key = DbErrors.matchMessage(err, /for key '(.+?)'$/);
+
+    return {
+      type: type,
+      constraint: (key) ? _.last(key.split('.')) : null
+    };
+  }
+
+  if (type === 'ForeignKeyViolation') {
+    return {
+      type: type,
+      constraint: DbErrors.matchMessage(err, /CONSTRAINT `(.+?)`/),
+      table: DbErrors.matchMessage(err, /\(`[^`]*`\.`(.+?)`/)
+    };
+  }
+
+  if (type === 'NotNullViolation') {
+    return {
+      type: type,
+      column: DbErrors.matchMessage(err, /(?:Column|Field) '(.+?)'/)
+    };
+  }
+
+  return {
+    type: type
+  };
+}
+
+/**
+ * Builds the statements that apply the transaction settings before the transaction begins and the statements
+ * that put the session back afterwards. SET TRANSACTION only applies to the next transaction, but the lock wait
+ * timeout is a session variable in seconds.
+ * @param settings - The transaction settings. { isolationLevel, readOnly, lockTimeout }
+ * @returns {Object} - The statements. { before: Array, after: Array }
+ * @throws an error for the SNAPSHOT isolation level.
+ */
+function getSettingStatements(settings) {
+  let statements = { before: [], after: [] };
+
+  if (!settings) {
+    return statements;
+  }
+
+  if (settings.isolationLevel === 'SNAPSHOT') {
+    throw new Error('The SNAPSHOT isolation level is not supported by mysql.');
+  }
+
+  if (settings.lockTimeout) {
+    statements.before.push('SET SESSION innodb_lock_wait_timeout = ' + Math.ceil(settings.lockTimeout / 1000));
+    statements.after.push('SET SESSION innodb_lock_wait_timeout = DEFAULT');
+  }
+
+  let characteristics = _.compact([
+    (settings.isolationLevel) ? 'ISOLATION LEVEL ' + settings.isolationLevel : null,
+    (settings.readOnly) ? 'READ ONLY' : null
+  ]);
+
+  if (characteristics.length > 0) {
+    statements.before.push('SET TRANSACTION ' + characteristics.join(', '));
+  }
+
+  return statements;
+}
@@ -0,0 +1,949 @@
+'use strict';
+
+// dependencies.
+const pg = require('pg');
+const Cursor = require('pg-cursor');
+const _ = require('lodash');
+const CallbackUtils = require('../utilities/callback-utilities');
+const SqlUtils = require('../utilities/sql-utilities');
+const StreamUtils = require('../utilities/stream-utilities');
+const SchemaUtils = require('../utilities/schema-utilities');
+const TransactionUtils = require('../utilities/transaction-utilities');
+const CancelUtils = require('../utilities/cancel-utilities');
+const TypeConversion = require('../utilities/type-conversion');
+const DbErrors = require('../utilities/db-errors');
+
+// the max number of bind parameters in one postgres statement.
+const MAX_PARAMETERS = 65535;
+
+// the catalog queries of the schema functions. The schema defaults to the current schema.
+const CATALOG_QUERIES = {
+  tables: 'SELECT table_schema, table_name, table_type FROM information_schema.tables ' +
+    "WHERE table_schema NOT IN ('pg_catalog', 'information_schema') AND table_schema NOT LIKE 'pg\\_%' " +
+    'ORDER BY table_schema, table_name',
+  columns: 'SELECT table_schema, column_name, ordinal_position, data_type, character_maximum_length AS max_length, ' +
+    'numeric_precision, numeric_scale, is_nullable, column_default, ' +
+    "(is_identity = 'YES' OR column_default LIKE 'nextval(%') AS is_auto_increment " +
+    'FROM information_schema.columns WHERE table_schema = COALESCE(:schema, current_schema()) AND table_name = :table ' +
+    'ORDER BY ordinal_position',
+  indexes: 'SELECT i.relname AS index_name, a.attname AS column_name, ix.indisunique AS is_unique, ix.indisprimary AS is_primary ' +
+    'FROM pg_index ix ' +
+    'JOIN pg_class t ON t.oid = ix.indrelid ' +
+    'JOIN pg_namespace n ON n.oid = t.relnamespace ' +
+    'JOIN pg_class i ON i.oid = ix.indexrelid ' +
+    'JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ordinality) ON true ' +
+    'JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum ' +
+    'WHERE t.relname = :table AND n.nspname = COALESCE(:schema, current_schema()) ' +
+    'ORDER BY i.relname, k.ordinality',
+  foreignKeys: 'SELECT c.conname AS constraint_name, a.attname AS column_name, rn.nspname AS referenced_schema, ' +
+    'rt.relname AS referenced_table, ra.attname AS referenced_column, ' +
+    "CASE c.confupdtype WHEN 'c' THEN 'CASCADE' WHEN 'n' THEN 'SET NULL' WHEN 'd' THEN 'SET DEFAULT' WHEN 'r' THEN 'RESTRICT' ELSE 'NO ACTION' END AS update_rule, " +
+    "CASE c.confdeltype WHEN 'c' THEN 'CASCADE' WHEN 'n' THEN 'SET NULL' WHEN 'd' THEN 'SET DEFAULT' WHEN 'r' THEN 'RESTRICT' ELSE 'NO ACTION' END AS delete_rule " +
+    'FROM pg_constraint c ' +
+    'JOIN pg_class t ON t.oid = c.conrelid ' +
+    'JOIN pg_namespace n ON n.oid = t.relnamespace ' +
+    'JOIN pg_class rt ON rt.oid = c.confrelid ' +
+    'JOIN pg_namespace rn ON rn.oid = rt.relnamespace ' +
+    'JOIN LATERAL unnest(c.conkey, c.confkey) WITH ORDINALITY AS k(attnum, refattnum, ordinality) ON true ' +
+    'JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum ' +
+    'JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = k.refattnum ' +
+    "WHERE c.contype = 'f' AND t.relname = :table AND n.nspname = COALESCE(:schema, current_schema()) " +
+    'ORDER BY c.conname, k.ordinality'
+};
+
+// the sqlstate codes of deadlocks and serialization failures.
+const RETRYABLE_ERROR_CODES = ['40P01', '40001'];
+
+// the DbError types of the sqlstate codes. Codes that aren't listed are looked up by their class (first two characters).
+// See utilities/db-errors.js.
+const ERROR_TYPES = {
+  '23505': 'UniqueViolation',
+  '23503': 'ForeignKeyViolation',
+  '23502': 'NotNullViolation',
+  '40P01': 'Deadlock',
+  '55P03': 'Timeout',
+  '57014': 'Timeout',
+  '57P01': 'ConnectionError',
+  '57P02': 'ConnectionError',
+  '57P03': 'ConnectionError',
+  '53300': 'ConnectionError',
+  '08': 'ConnectionError',
+  '28': 'ConnectionError',
+  '42': 'SyntaxError'
+};
+
+// the column type names by their type oid. Ex: 1700 is NUMERIC.
+const COLUMN_TYPES = _.invert(pg.types.builtins);
+
+// the node error codes of failed connections.
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EPIPE'];
+
+// the statements of the savepoints of nested transactions.
+const SAVEPOINT_STATEMENTS = {
+  savepoint: 'SAVEPOINT ',
+  rollback: 'ROLLBACK TO SAVEPOINT ',
+  release: 'RELEASE SAVEPOINT '
+};
+
+/**
+ * Creates a new postgres adapter instance. Every instance has its own connection pool.
+ * @returns {Object} - The adapter object.
+ */
+exports.createAdapter = () => {
+  // the adapter object.
+  const adapter = {};
+
+  // save the db options.
+  let dbOptions = null;
+  let pool = null;
+
+  // the session stores handed out by getSessionStore, so close can stop them.
+  let sessionStores = [];
+
+  // converts the column values of the query results. See utilities/type-conversion.js.
+  let typeConverter = null;
+
+  //======================================================================================
+  // Initialization and Destruction Functions.
+  //======================================================================================
+
+  /**
+   * Configures and initialized the postgres module and database connection pool.
+   * @param options - The configuration options object from the config module.
+   * @param callback - The finished callback function.
+   */
+  adapter.configure = (options, callback) => {
+    // if the pool is already configured, just fire the finished callback.
+    if (pool) {
+      return callback();
+    }
+
+    // build the postgres specific connection pool options.
+    let config = {
+      host: options.server,
+      port: options.port,
+      user: options.username,
+      password: options.password,
+      database: options.dbName,
+      max: options.connectionPoolLimit,
+      ssl: options.ssl,
+      sessionTableName: options.sessionTableName,
+      sessionSecret: options.sessionSecret
+    };
+
+    try {
+      typeConverter = TypeConversion.createTypeConverter(options.typeConversion);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    // save the options.
+    dbOptions = config;
+
+    // create the postgres connection pool.
+    pool = new pg.Pool(config);
+
+    // idle clients can error when the server goes away. the pool removes them on its own.
+    pool.on('error', (err) => {
+      console.log(err);
+    });
+
+    return callback();
+  };
+
+  /**
+   * Performs the de-allocation/pool destruction code when application is exiting.
+   * @param callback - The finished callback function.
+   */
+  adapter.close = (callback) => {
+    // if the pool wasn't created yet. Just fire the callback.
+    if (!pool) {
+      return callback();
+    }
+
+    // stop the pruning of the session stores. They share the pool, which is ended below.
+    _.forEach(sessionStores, (store) => {
+      store.close();
+    });
+
+    sessionStores = [];
+
+    // destroy the pool.
+    pool.end((err) => {
+      pool = null;
+      return callback(err);
+    });
+  };
+
+  /**
+   * Gets the connection counts of the pool.
+   * @returns {Object|null} - { total, idle, inUse, waiting } or null when the pool wasn't created yet.
+   */
+  adapter.getPoolStats = () => {
+    if (!pool) {
+      return null;
+    }
+
+    return {
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      inUse: pool.totalCount - pool.idleCount,
+      waiting: pool.waitingCount
+    };
+  };
+
+  /**
+   * Gets the postgres session store object for express.
+   * The session table is created if it is missing.
+   * @param callback - The finished callback function.
+   */
+  adapter.getSessionStore = (callback) => {
+    // make sure the module has been configured first.
+    if (!pool) {
+      return callback(new Error('DB connection pool not initialized.'));
+    }
+
+    // setup the session store.
+    let expressSession = require('express-session');
+    let PGStore = require('connect-pg-simple')(expressSession);
+
+    // build the config options.
+    let config = {
+      pool: pool,
+      tableName: (dbOptions.sessionTableName) ? dbOptions.sessionTableName : 'session',
+      createTableIfMissing: true
+    };
+
+    // return a new instance of the postgres session store.
+    let store = new PGStore(config);
+
+    sessionStores.push(store);
+
+    return callback(null, store);
+  };
+
+  //======================================================================================
+  // SQL Functions.
+  //======================================================================================
+
+  /**
+   * Runs a string query with no external parameters on the database.
+   * @param sqlQuery - The string query.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   */
+  adapter.runStringQuery = (sqlQuery, callback, multipleResultSets) => {
+    // make sure the pool is initialized first.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // fire the query.
+    pool.query(sqlQuery, (err, result) => {
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        convertResults(result);
+      }
+      catch (ex) {
+        return callback(ex);
+      }
+
+      // return the results.
+      return callback(null, getRows(result, multipleResultSets));
+    });
+  };
+
+  /**
+   * Runs a sql query with parameters to be inserted into the statement.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object to be added to the sql query.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Not used by postgres.
+   * @param [options] - The query options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runQuery = (sqlString, params, callback, multipleResultSets, options) => {
+    // fire the query.
+    runOnPooledClient(sqlString, options, (client, done) => {
+      runQueryOnClient(client, sqlString, params, done);
+    }, (err, result) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // the convertTypes option turns the type conversion off. Ex: the catalog queries of the schema functions.
+      if (!options || options.convertTypes !== false) {
+        try {
+          convertResults(result);
+        }
+        catch (ex) {
+          return callback(ex);
+        }
+      }
+
+      // return the results.
+      return callback(null, result.rows);
+    });
+  };
+
+  /**
+   * Runs a sql query and streams the rows. The rows are fetched from a cursor in batches of
+   * highWaterMark rows when the consumer reads them. The cursor is closed and the client released
+   * when the stream ends or is destroyed.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object to be added to the sql query.
+   * @param options - The stream options. { highWaterMark: Number }
+   * @returns {Readable} - The object mode stream of rows.
+   */
+  adapter.streamQuery = (sqlString, params, options) => {
+    let cursor = null;
+    let release = null;
+    let reading = false;
+
+    let stream = StreamUtils.createRowStream(options, () => {
+      if (cursor) {
+        readRows();
+      }
+    }, (done) => {
+      closeCursor(null, done);
+    });
+
+    // make sure the pool is initialized.
+    if (!pool) {
+      return StreamUtils.failStream(stream, new Error('Connection pool not initialized.'));
+    }
+
+    let query = null;
+
+    try {
+      query = toPostgresQuery(sqlString, params);
+    }
+    catch (ex) {
+      return StreamUtils.failStream(stream, ex);
+    }
+
+    // get a client from the connection pool.
+    pool.connect((err, client, releaseClient) => {
+      if (err) {
+        return stream.destroy(err);
+      }
+
+      // the consumer stopped before the query started.
+      if (stream.destroyed) {
+        return releaseClient();
+      }
+
+      release = releaseClient;
+      cursor = client.query(new Cursor(query.text, query.values));
+      readRows();
+    });
+
+    /**
+     * Reads the next batch of rows from the cursor and pushes them into the stream.
+     */
+    function readRows() {
+      if (reading) {
+        return;
+      }
+
+      reading = true;
+
+      cursor.read(stream.readableHighWaterMark, (err, rows, result) => {
+        reading = false;
+
+        if (stream.destroyed) {
+          return;
+        }
+
+        if (err) {
+          return closeCursor(err, () => {
+            stream.destroy(err);
+          });
+        }
+
+        // there are no more rows.
+        if (rows.length === 0) {
+          return closeCursor(null, () => {
+            stream.push(null);
+          });
+        }
+
+        // convert the rows like the rows of runQuery.
+        try {
+          typeConverter.convertRows(rows, getColumns(result.fields));
+        }
+        catch (ex) {
+          return closeCursor(null, () => {
+            stream.destroy(ex);
+          });
+        }
+
+        let wantsMore = true;
+
+        _.forEach(rows, (row) => {
+          wantsMore = stream.push(row);
+        });
+
+        // keep reading while the consumer keeps up.
+        if (wantsMore) {
+          readRows();
+        }
+      });
+    }
+
+    /**
+     * Closes the cursor and releases the client back to the pool.
+     * @param err - The error of the cursor. (optional)
+     * @param callback - The finished callback function.
+     */
+    function closeCursor(err, callback) {
+      if (!cursor) {
+        return callback();
+      }
+
+      let openCursor = cursor;
+      let releaseClient = release;
+      cursor = null;
+      release = null;
+
+      // a failed cursor is already synced, the client is just removed from the pool.
+      if (err) {
+        releaseClient(err);
+        return callback();
+      }
+
+      openCursor.close((e) => {
+        releaseClient(e);
+        return callback();
+      });
+    }
+
+    return stream;
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Not used by postgres.
+   * @param [options] - The statement options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runStatement = (statement, params, callback, multipleResultSets, options) => {
+    // fire the statement.
+    runOnPooledClient(statement, options, (client, done) => {
+      runStatementOnClient(client, statement, params, null, done);
+    }, callback);
+  };
+
+  /**
+   * Runs a bulk insert statement. The rows are inserted with multi-row VALUES statements
+   * inside of a single transaction.
+   * @param statement - The insert statement. Ex: INSERT INTO table_name (name, email) VALUES ?
+   * @param params - The values. Ex: [[values], [values]]
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runBulkInsert = (statement, params, callback) => {
+    // split the rows so the statements stay below the parameter limit.
+    let chunks = SqlUtils.chunkBulkInsertRows(params, MAX_PARAMETERS);
+
+    adapter.runTransaction((client, done) => {
+      let results = {
+        affectedRows: 0
+      };
+
+      // insert the chunks one after another.
+      let insertChunk = (index) => {
+        if (index >= chunks.length) {
+          return done(null, results);
+        }
+
+        let query = null;
+
+        try {
+          query = SqlUtils.expandBulkInsertStatement(statement, chunks[index]);
+        }
+        catch (ex) {
+          return done(ex);
+        }
+
+        runStatementOnClient(client, query.sql, query.params, null, (err, chunkResults) => {
+          if (err) {
+            return done(err);
+          }
+
+          results.affectedRows += chunkResults.affectedRows;
+          return insertChunk(index + 1);
+        });
+      };
+
+      insertChunk(0);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement. A RETURNING clause for the ID field is added to insert statements
+   * that don't have one, so the insertId of the results is set.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementReturnResult = (statement, params, idField, callback) => {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // fire the statement.
+    runStatementOnClient(pool, statement, params, idField, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The pooled client passed to the transaction execute function.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementInTransaction = (connection, statement, params, callback) => {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // fire the statement.
+    runStatementOnClient(connection, statement, params, null, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The pooled client passed to the transaction execute function.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementInTransactionReturnResult = (connection, statement, params, idField, callback) => {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // fire the statement.
+    runStatementOnClient(connection, statement, params, idField, callback);
+  };
+
+  /**
+   * Executes a stored procedure or function and returns the results.
+   * Ex: CALL procedure_name(?, ?) or SELECT * FROM function_name(?, ?)
+   * @param sql - The sql call.
+   * @param params - Array of parameters needed by the call.
+   * @param callback - The finished callback function.
+   */
+  adapter.executeStoredProcedure = (sql, params, callback) => {
+    adapter.runQuery(sql, params, callback);
+  };
+
+  /**
+   * Creates and runs a transaction on the database. All statements of the transaction run on
+   * the same pooled client.
+   * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function
+   * or return a promise.
+   * @param callback - The finished callback function. callback(err, result);
+   * @param [options] - The transaction options. { connection, isolationLevel, readOnly, lockTimeout }
+   * Pass the connection of an open transaction to run the execute function in a savepoint of that transaction.
+   * The isolation level and read only options are added to the BEGIN statement and the lock timeout is set
+   * with SET LOCAL, so it ends with the transaction. The SNAPSHOT isolation level is not supported.
+   */
+  adapter.runTransaction = (executeFunction, callback, options) => {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    // a transaction inside of a transaction runs in a savepoint of the outer transaction.
+    if (options && options.connection) {
+      return TransactionUtils.runInSavepoint(SAVEPOINT_STATEMENTS, (statement, done) => {
+        adapter.runStatementInTransaction(options.connection, statement, [], done);
+      }, options.connection, executeFunction, callback);
+    }
+
+    // get the isolation level, read only and lock timeout settings.
+    let beginStatements = null;
+
+    try {
+      beginStatements = getBeginStatements(TransactionUtils.getTransactionSettings(options));
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    // get a client from the connection pool.
+    pool.connect((err, client, release) => {
+      // check if an error occurred.
+      if (err) {
+        return callback(err);
+      }
+
+      // begin a transaction.
+      TransactionUtils.runStatements(beginStatements, (statement, done) => {
+        client.query(statement, done);
+      }, (err) => {
+        // check if an error occurred creating a transaction.
+        if (err) {
+          release(err);
+          return callback(err);
+        }
+
+        // execute the function.
+        CallbackUtils.invokeExecuteFunction(executeFunction, client, (err, result) => {
+          // check if an error occurred.
+          if (err) {
+            // rollback any changes in the event of an error.
+            client.query('ROLLBACK', (e) => {
+              if (e) {
+                console.log(e);
+              }
+
+              // a client that failed to rollback is removed from the pool.
+              release(e);
+              return callback(err);
+            });
+          }
+          else {
+            client.query('COMMIT', (err) => {
+              if (err) {
+                client.query('ROLLBACK', (e) => {
+                  release(e);
+                  return callback(err);
+                });
+              }
+              else {
+                release();
+                return callback(null, result);
+              }
+            });
+          }
+        });
+      });
+    });
+  };
+
+  //======================================================================================
+  // Error Functions.
+  //======================================================================================
+
+  /**
+   * Checks if an error is transient, so the transaction or statement can be run again.
+   * The deadlock (40P01) and serialization failure (40001) errors are retryable.
+   * @param err - The error.
+   * @returns {boolean}
+   */
+  adapter.isRetryableError = (err) => {
+    return !!err && _.includes(RETRYABLE_ERROR_CODES, err.code);
+  };
+
+  /**
+   * Wraps a driver error in the matching DbError type. Other errors are returned as they are.
+   * @param err - The error.
+   * @param sql - The failing sql string with its placeholders.
+   * @returns {Error}
+   */
+  adapter.toDbError = (err, sql) => {
+    return DbErrors.wrapError(err, sql, classifyError);
+  };
+
+  //======================================================================================
+  // Schema Functions.
+  //======================================================================================
+
+  /**
+   * Gets the tables and views of the database.
+   * @param callback - The finished callback function. callback(err, [{ schema, name, type }]);
+   */
+  adapter.getTables = (callback) => {
+    SchemaUtils.getTables(runCatalogQuery, CATALOG_QUERIES, callback);
+  };
+
+  /**
+   * Describes the columns, primary key, indexes and foreign keys of a table.
+   * @param tableName - The table name. Ex: users or public.users
+   * @param callback - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+   */
+  adapter.describeTable = (tableName, callback) => {
+    SchemaUtils.describeTable(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  /**
+   * Gets the foreign keys of a table.
+   * @param tableName - The table name. Ex: users or public.users
+   * @param callback - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+   */
+  adapter.getForeignKeys = (tableName, callback) => {
+    SchemaUtils.getForeignKeys(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  //======================================================================================
+  // Private Functions.
+  //======================================================================================
+
+  /**
+   * Runs a catalog query of the schema functions. The catalog rows are not type converted.
+   * @param sqlString - The catalog query.
+   * @param params - The named parameters object.
+   * @param callback - The finished callback function. callback(err, rows);
+   */
+  function runCatalogQuery(sqlString, params, callback) {
+    adapter.runQuery(sqlString, params, callback, false, { convertTypes: false });
+  }
+
+  /**
+   * Runs a query or statement on a client of the pool. A query that times out or is cancelled is stopped
+   * on the server with pg_cancel_backend.
+   * @param sqlString - The sql string, added to the timeout and cancel errors.
+   * @param options - The call options. { timeoutMs: Number, signal: AbortSignal }
+   * @param run - Runs the query on the client. function (client, done) {}
+   * @param callback - The finished callback function. callback(err, result);
+   */
+  function runOnPooledClient(sqlString, options, run, callback) {
+    // make sure the pool is initialized.
+    if (!pool) {
+      return callback(new Error('Connection pool not initialized.'));
+    }
+
+    CancelUtils.runCancellable(options, sqlString, (cancellation, done) => {
+      // get a client from the connection pool.
+      pool.connect((err, client, release) => {
+        if (err) {
+          return done(err);
+        }
+
+        // the query was stopped while it waited on a client.
+        if (cancellation.isCancelled()) {
+          release();
+          return done(new Error('The query was stopped before it ran.'));
+        }
+
+        run(client, (err, result) => {
+          // a stopped client is removed from the pool, so a late cancel can't stop the next query on it.
+          release(cancellation.isCancelled() || undefined);
+          return done(err, result);
+        });
+
+        cancellation.onCancel(() => {
+          pool.query('SELECT pg_cancel_backend($1)', [client.processID], (e) => {
+            if (e) {
+              console.log(e);
+            }
+          });
+        });
+      });
+    }, callback);
+  }
+
+  /**
+   * Converts the column values of the rows of a query result in place with the type converter.
+   * @param result - The query result or array of results for multiple statements.
+   * @throws the error of a converter.
+   */
+  function convertResults(result) {
+    _.forEach(_.castArray(result), (statementResult) => {
+      typeConverter.convertRows(statementResult.rows, getColumns(statementResult.fields));
+    });
+  }
+
+  return adapter;
+};
+
+//======================================================================================
+// Private Functions.
+//======================================================================================
+
+/**
+ * Runs a query with question mark or :name placeholders on a pool or pooled client.
+ * @param client - The pool or pooled client.
+ * @param sqlString - The sql string with question mark or :name placeholders.
+ * @param params - The array of parameters or named parameters object.
+ * @param callback - The finished callback function. callback(err, result);
+ */
+function runQueryOnClient(client, sqlString, params, callback) {
+  let query = null;
+
+  try {
+    query = toPostgresQuery(sqlString, params);
+  }
+  catch (ex) {
+    return callback(ex);
+  }
+
+  client.query(query.text, query.values, callback);
+}
+
+/**
+ * Converts a query with question mark or :name placeholders to a query with $1..$n placeholders.
+ * A name used multiple times is bound once.
+ * @param sqlString - The sql string with question mark or :name placeholders.
+ * @param params - The array of parameters or named parameters object.
+ * @returns {{text: string, values: Array}}
+ */
+function toPostgresQuery(sqlString, params) {
+  if (!SqlUtils.isNamedParams(params, sqlString)) {
+    return {
+      text: convertPlaceholders(sqlString),
+      values: SqlUtils.toPositionalParams(params)
+    };
+  }
+
+  let query = SqlUtils.convertNamedParams(sqlString, params, (name, nameIndex) => {
+    return '$' + (nameIndex + 1);
+  });
+
+  return {
+    text: query.sql,
+    values: _.map(query.names, (name) => params[name])
+  };
+}
+
+/**
+ * Runs a statement on a pool or pooled client and builds the results object.
+ * @param client - The pool or pooled client.
+ * @param statement - The sql statement string with question mark placeholders.
+ * @param params - An array of parameters.
+ * @param idField - The field name of the ID field to return. (optional)
+ * @param callback - The finished callback function. callback(err, results);
+ */
+function runStatementOnClient(client, statement, params, idField, callback) {
+  // return the ID field of inserted rows.
+  if (idField && /^\s*INSERT\s/i.test(statement) && !/\sRETURNING\s/i.test(statement)) {
+    statement = statement.replace(/[\s;]*$/, '') + ' RETURNING ' + idField;
+  }
+
+  runQueryOnClient(client, statement, params, (err, result) => {
+    if (err) {
+      return callback(err);
+    }
+
+    let results = {
+      affectedRows: result.rowCount,
+      rows: result.rows
+    };
+
+    if (idField && result.rows && result.rows.length > 0) {
+      results.insertId = result.rows[0][idField];
+    }
+
+    return callback(null, results);
+  });
+}
+
+/**
+ * Converts the ? placeholders to the postgres $1..$n placeholders. Sql that already has $1..$n placeholders
+ * is returned as it is.
+ * @param sqlString - The sql string with question mark placeholders.
+ * @returns {string}
+ */
+function convertPlaceholders(sqlString) {
+  // the sql already has the postgres placeholders, so its question marks are jsonb operators (?, ?| and ?&).
+  if (SqlUtils.hasNumberedPlaceholders(sqlString)) {
+    return sqlString;
+  }
+
+  return SqlUtils.replacePlaceholders(sqlString, (index) => {
+    return '$' + (index + 1);
+  });
+}
+
+/**
+ * Gets the columns of the type converter out of the fields of a query result.
+ * The length is only known for BIT and VARBIT columns.
+ * @param fields - The fields of the query result.
+ * @returns {Array} - [{ name, type, length }]
+ */
+function getColumns(fields) {
+  return _.map(fields, (field) => {
+    let type = COLUMN_TYPES[field.dataTypeID] || null;
+
+    return {
+      name: field.name,
+      type: type,
+      length: (type === 'BIT' || type === 'VARBIT') ? field.dataTypeModifier : null
+    };
+  });
+}
+
+/**
+ * Gets the rows out of a query result.
+ * @param result - The query result or array of results for multiple statements.
+ * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+ * @returns {Array}
+ */
+function getRows(result, multipleResultSets) {
+  if (_.isArray(result)) {
+    let resultSets = _.map(result, 'rows');
+    return (multipleResultSets) ? resultSets : _.last(resultSets);
+  }
+
+  return (multipleResultSets) ? [result.rows] : result.rows;
+}
+
+/**
+ * Finds the DbError type of a postgres error. The server errors have the constraint, column
+ * and table fields set.
+ * @param err - The error.
+ * @returns {Object|null} - null when the error doesn't come from the driver.
+ */
+function classifyError(err) {
+  if (_.includes(CONNECTION_ERROR_CODES, err.code) || /^Connection terminated|timeout exceeded when trying to connect/.test(err.message)) {
+    return {
+      type: 'ConnectionError'
+    };
+  }
+
+  // server errors have a severity and a sqlstate code.
+  if (!err.severity || !/^[0-9A-Z]{5}$/.test(err.code)) {
+    return null;
+  }
+
+  return {
+    type: ERROR_TYPES[err.code] || ERROR_TYPES[err.code.substring(0, 2)] || 'DbError',
+    constraint: err.constraint,
+    column: err.column,
+    table: err.table
+  };
+}
+
+/**
+ * Builds the statements that begin a transaction with the transaction settings.
+ * @param settings - The transaction settings. { isolationLevel, readOnly, lockTimeout }
+ * @returns {Array} - The statements.
+ * @throws an error for the SNAPSHOT isolation level.
+ */
+function getBeginStatements(settings) {
+  if (!settings) {
+    return ['BEGIN'];
+  }
+
+  if (settings.isolationLevel === 'SNAPSHOT') {
+    throw new Error('The SNAPSHOT isolation level is not supported by postgres.');
+  }
+
+  let statements = [_.compact([
+    'BEGIN',
+    (settings.isolationLevel) ? 'ISOLATION LEVEL ' + settings.isolationLevel : null,
+    (settings.readOnly) ? 'READ ONLY' : null
+  ]).join(' ')];
+
+  if (settings.lockTimeout) {
+    statements.push('SET LOCAL lock_timeout = ' + settings.lockTimeout);
+  }
+
+  return statements;
+}
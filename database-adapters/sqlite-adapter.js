@@ -0,0 +1,893 @@
+'use strict';
+
+// dependencies.
+const sqlite3 = require('sqlite3');
+const { AsyncLocalStorage } = require('async_hooks');
+const CallbackUtils = require('../utilities/callback-utilities');
+const SqlUtils = require('../utilities/sql-utilities');
+const StreamUtils = require('../utilities/stream-utilities');
+const SchemaUtils = require('../utilities/schema-utilities');
+const TransactionUtils = require('../utilities/transaction-utilities');
+const CancelUtils = require('../utilities/cancel-utilities');
+const TypeConversion = require('../utilities/type-conversion');
+const DbErrors = require('../utilities/db-errors');
+
+// the default max number of host parameters in one sqlite statement.
+const MAX_PARAMETERS = 999;
+
+// the time in milliseconds the session store connection waits on the locks of the adapter connection by default.
+const SESSION_BUSY_TIMEOUT = 5000;
+
+// the pragma queries of the schema functions. The schema defaults to main.
+const CATALOG_QUERIES = {
+  tables: "SELECT 'main' AS table_schema, name AS table_name, type AS table_type FROM sqlite_master " +
+    "WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite!_%' ESCAPE '!' ORDER BY name",
+  columns: "SELECT COALESCE(:schema, 'main') AS table_schema, c.name AS column_name, c.cid + 1 AS ordinal_position, " +
+    "lower(CASE WHEN instr(c.type, '(') > 0 THEN trim(substr(c.type, 1, instr(c.type, '(') - 1)) ELSE c.type END) AS data_type, " +
+    'NULL AS max_length, NULL AS numeric_precision, NULL AS numeric_scale, ' +
+    "CASE WHEN c.\"notnull\" = 1 OR c.pk > 0 THEN 'NO' ELSE 'YES' END AS is_nullable, " +
+    'c.dflt_value AS column_default, c.pk AS primary_key_ordinal, ' +
+    "(c.pk = 1 AND upper(c.type) = 'INTEGER' AND " +
+    "(SELECT COUNT(*) FROM pragma_table_info(:table, COALESCE(:schema, 'main')) WHERE pk > 0) = 1) AS is_auto_increment " +
+    "FROM pragma_table_info(:table, COALESCE(:schema, 'main')) c ORDER BY c.cid",
+  indexes: "SELECT il.name AS index_name, ii.name AS column_name, il.\"unique\" AS is_unique, il.origin = 'pk' AS is_primary " +
+    "FROM pragma_index_list(:table, COALESCE(:schema, 'main')) il " +
+    "JOIN pragma_index_info(il.name, COALESCE(:schema, 'main')) ii " +
+    'ORDER BY il.name, ii.seqno',
+  foreignKeys: 'SELECT NULL AS constraint_name, fk.id AS constraint_id, fk."from" AS column_name, ' +
+    "COALESCE(:schema, 'main') AS referenced_schema, fk.\"table\" AS referenced_table, fk.\"to\" AS referenced_column, " +
+    'fk.on_update AS update_rule, fk.on_delete AS delete_rule ' +
+    "FROM pragma_foreign_key_list(:table, COALESCE(:schema, 'main')) fk ORDER BY fk.id, fk.seq"
+};
+
+// matches the statements that return rows, after the leading comments. Ex: SELECT, WITH, PRAGMA table_info(users)
+// or INSERT ... RETURNING. The PRAGMA statements that set a value return no rows.
+const ROWS_STATEMENT_PATTERN = /^(?:\s|--[^\n]*|\/\*[\s\S]*?\*\/)*(?:SELECT|WITH|VALUES|EXPLAIN|PRAGMA\s+[^=]*$)|\bRETURNING\b/i;
+
+// the error codes of a busy or locked database file.
+const RETRYABLE_ERROR_CODES = ['SQLITE_BUSY', 'SQLITE_LOCKED'];
+
+// the statements of the savepoints of nested transactions.
+const SAVEPOINT_STATEMENTS = {
+  savepoint: 'SAVEPOINT ',
+  rollback: 'ROLLBACK TO SAVEPOINT ',
+  release: 'RELEASE SAVEPOINT '
+};
+
+/**
+ * Creates a new sqlite adapter instance. Every instance has its own database connection.
+ * @returns {Object} - The adapter object.
+ */
+exports.createAdapter = () => {
+  // the adapter object.
+  const adapter = {};
+
+  // save the db options.
+  let dbOptions = null;
+  let db = null;
+
+  // sqlite uses a single connection, so statements are run one at a time. This keeps
+  // statements from other callers from ending up inside an open transaction.
+  let isLocked = false;
+  let lockQueue = [];
+
+  // the open transaction of the running execute function. Its calls of the adapter functions (Ex: client.runQuery
+  // or a migration) run on the connection the transaction holds instead of waiting on the lock forever.
+  const transactionContext = new AsyncLocalStorage();
+
+  // converts the column values of the query results. See utilities/type-conversion.js.
+  let typeConverter = null;
+
+  // the database connections of the session stores, so close can close them.
+  let sessionDatabases = [];
+
+  //======================================================================================
+  // Initialization and Destruction Functions.
+  //======================================================================================
+
+  /**
+   * Configures and opens the sqlite database.
+   * The database file is set with the filename option (or dbName). Use ':memory:' for an in-memory database.
+   * @param options - The configuration options object from the config module.
+   * @param callback - The finished callback function.
+   */
+  adapter.configure = (options, callback) => {
+    // if the database is already open, just fire the finished callback.
+    if (db) {
+      return callback();
+    }
+
+    // build the sqlite specific options.
+    let config = {
+      filename: options.filename || options.dbName || ':memory:',
+      sessionTableName: options.sessionTableName,
+      busyTimeout: options.busyTimeout
+    };
+
+    try {
+      typeConverter = TypeConversion.createTypeConverter(options.typeConversion);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    // save the options.
+    dbOptions = config;
+
+    // open the database.
+    let database = new sqlite3.Database(config.filename, (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // wait on locked database files instead of failing right away.
+      if (config.busyTimeout) {
+        database.configure('busyTimeout', config.busyTimeout);
+      }
+
+      db = database;
+      return callback();
+    });
+  };
+
+  /**
+   * Closes the sqlite database when application is exiting.
+   * @param callback - The finished callback function.
+   */
+  adapter.close = (callback) => {
+    // if the database wasn't opened yet. Just fire the callback.
+    if (!db) {
+      return callback();
+    }
+
+    // the session stores have their own connections.
+    let databases = sessionDatabases.concat([db]);
+    let firstError = null;
+
+    sessionDatabases = [];
+    db = null;
+
+    let closeNext = (index) => {
+      if (index >= databases.length) {
+        return callback(firstError);
+      }
+
+      // close the database.
+      databases[index].close((err) => {
+        firstError = firstError || err || null;
+        closeNext(index + 1);
+      });
+    };
+
+    closeNext(0);
+  };
+
+  /**
+   * Gets the connection counts of the single database connection. The waiting count is the number of
+   * statements queued behind the running statement or transaction.
+   * @returns {Object|null} - { total, idle, inUse, waiting } or null when the database wasn't opened yet.
+   */
+  adapter.getPoolStats = () => {
+    if (!db) {
+      return null;
+    }
+
+    return {
+      total: 1,
+      idle: (isLocked) ? 0 : 1,
+      inUse: (isLocked) ? 1 : 0,
+      waiting: lockQueue.length
+    };
+  };
+
+  /**
+   * Gets the sqlite session store object for express.
+   * The session table is created automatically. The store has its own connection to the database file,
+   * which is closed with the adapter. With ':memory:' the sessions are kept in a separate in-memory database.
+   * @param callback - The finished callback function.
+   */
+  adapter.getSessionStore = (callback) => {
+    // make sure the module has been configured first.
+    if (!db) {
+      return callback(new Error('DB connection not initialized.'));
+    }
+
+    // setup the session store.
+    let expressSession = require('express-session');
+    let SQLiteStore = require('connect-sqlite3')(expressSession);
+
+    // the store gets its own connection to the database file. On the adapter connection its statements would
+    // skip the statement queue and end up in (and be rolled back with) the open transaction.
+    let storeDb = new sqlite3.Database(dbOptions.filename, (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // wait on the locks of the adapter connection instead of failing right away.
+      storeDb.configure('busyTimeout', dbOptions.busyTimeout || SESSION_BUSY_TIMEOUT);
+
+      // the expired sessions cleanup of the store can't be stopped and keeps running after close.
+      storeDb.on('error', (e) => {
+        console.log(e);
+      });
+
+      sessionDatabases.push(storeDb);
+
+      // build the config options.
+      let config = {
+        db: storeDb,
+        table: (dbOptions.sessionTableName) ? dbOptions.sessionTableName : 'sessions'
+      };
+
+      // return a new instance of the SQLite session store.
+      return callback(null, new SQLiteStore(config));
+    });
+  };
+
+  //======================================================================================
+  // SQL Functions.
+  //======================================================================================
+
+  /**
+   * Runs a string query with no external parameters on the database.
+   * @param sqlQuery - The string query.
+   * @param callback - The finished callback function. callback(err, rows);
+   */
+  adapter.runStringQuery = (sqlQuery, callback) => {
+    adapter.runQuery(sqlQuery, [], callback);
+  };
+
+  /**
+   * Runs a sql query with parameters to be inserted into the statement.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object to be added to the sql query.
+   * @param callback - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Not used by sqlite.
+   * @param [options] - The query options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runQuery = (sqlString, params, callback, multipleResultSets, options) => {
+    // make sure the database is open.
+    if (!db) {
+      return callback(new Error('DB connection not initialized.'));
+    }
+
+    // convert named parameters to question mark placeholders.
+    let query = null;
+
+    try {
+      query = SqlUtils.toPositionalQuery(sqlString, params);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    runLockedQuery(sqlString, options, (done) => {
+      db.all(query.sql, query.params || [], done);
+    }, (err, rows) => {
+      // the convertTypes option turns the type conversion off. Ex: the catalog queries of the schema functions.
+      if (err || (options && options.convertTypes === false)) {
+        return callback(err, rows);
+      }
+
+      // sqlite doesn't report the column types, so only the column converters apply.
+      let columns = Object.keys((rows && rows[0]) || {}).map((name) => {
+        return { name: name, type: null, length: null };
+      });
+
+      try {
+        typeConverter.convertRows(rows, columns);
+      }
+      catch (ex) {
+        return callback(ex);
+      }
+
+      return callback(null, rows);
+    });
+  };
+
+  /**
+   * Runs a sql query and streams the rows. The rows are stepped one at a time when the consumer
+   * reads them and the statement is finalized when the stream ends or is destroyed.
+   * Other statements can run between the rows, so the stream doesn't block the database.
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array parameters or named parameters object to be added to the sql query.
+   * @param options - The stream options. { highWaterMark: Number }
+   * @returns {Readable} - The object mode stream of rows.
+   */
+  adapter.streamQuery = (sqlString, params, options) => {
+    let statement = null;
+    let reading = false;
+
+    let stream = StreamUtils.createRowStream(options, () => {
+      if (statement) {
+        readRow();
+      }
+    }, (done) => {
+      finalize(done);
+    });
+
+    // make sure the database is open.
+    if (!db) {
+      return StreamUtils.failStream(stream, new Error('DB connection not initialized.'));
+    }
+
+    // convert named parameters to question mark placeholders.
+    let query = null;
+
+    try {
+      query = SqlUtils.toPositionalQuery(sqlString, params);
+    }
+    catch (ex) {
+      return StreamUtils.failStream(stream, ex);
+    }
+
+    runLocked((release) => {
+      let preparedStatement = db.prepare(query.sql, query.params || [], (err) => {
+        // let the next statement run.
+        release();
+
+        if (err) {
+          return stream.destroy(err);
+        }
+
+        // the consumer stopped before the query started.
+        if (stream.destroyed) {
+          return preparedStatement.finalize();
+        }
+
+        statement = preparedStatement;
+        readRow();
+      });
+    });
+
+    /**
+     * Steps the statement to the next row and pushes it into the stream.
+     */
+    function readRow() {
+      if (reading) {
+        return;
+      }
+
+      reading = true;
+
+      runLocked((release) => {
+        // the stream was destroyed while waiting for the database.
+        if (!statement) {
+          reading = false;
+          return release();
+        }
+
+        statement.get((err, row) => {
+          // let the next statement run.
+          release();
+          reading = false;
+
+          if (stream.destroyed) {
+            return;
+          }
+
+          if (err) {
+            return stream.destroy(err);
+          }
+
+          // there are no more rows.
+          if (row === undefined) {
+            return finalize(() => {
+              stream.push(null);
+            });
+          }
+
+          // sqlite doesn't report the column types, so only the column converters apply.
+          let columns = Object.keys(row).map((name) => {
+            return { name: name, type: null, length: null };
+          });
+
+          try {
+            typeConverter.convertRows([row], columns);
+          }
+          catch (ex) {
+            return finalize(() => {
+              stream.destroy(ex);
+            });
+          }
+
+          // keep reading while the consumer keeps up.
+          if (stream.push(row)) {
+            readRow();
+          }
+        });
+      });
+    }
+
+    /**
+     * Finalizes the statement.
+     * @param callback - The finished callback function.
+     */
+    function finalize(callback) {
+      if (!statement) {
+        return callback();
+      }
+
+      let finishedStatement = statement;
+      statement = null;
+
+      finishedStatement.finalize(() => {
+        return callback();
+      });
+    }
+
+    return stream;
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param callback - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Not used by sqlite.
+   * @param [options] - The statement options. { timeoutMs: Number, signal: AbortSignal }
+   */
+  adapter.runStatement = (statement, params, callback, multipleResultSets, options) => {
+    // make sure the database is open.
+    if (!db) {
+      return callback(new Error('DB connection not initialized.'));
+    }
+
+    runLockedQuery(statement, options, (done) => {
+      runStatementOnDatabase(db, statement, params, done);
+    }, callback);
+  };
+
+  /**
+   * Runs a bulk insert statement. The rows are inserted with multi-row VALUES statements
+   * inside of a single transaction.
+   * @param statement - The insert statement. Ex: INSERT INTO table_name (name, email) VALUES ?
+   * @param params - The values. Ex: [[values], [values]]
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runBulkInsert = (statement, params, callback) => {
+    // split the rows so the statements stay below the parameter limit.
+    let chunks = SqlUtils.chunkBulkInsertRows(params, MAX_PARAMETERS);
+
+    adapter.runTransaction((connection, done) => {
+      let results = {
+        affectedRows: 0
+      };
+
+      // insert the chunks one after another.
+      let insertChunk = (index) => {
+        if (index >= chunks.length) {
+          return done(null, results);
+        }
+
+        let query = null;
+
+        try {
+          query = SqlUtils.expandBulkInsertStatement(statement, chunks[index]);
+        }
+        catch (ex) {
+          return done(ex);
+        }
+
+        runStatementOnDatabase(connection, query.sql, query.params, (err, chunkResults) => {
+          if (err) {
+            return done(err);
+          }
+
+          results.affectedRows += chunkResults.affectedRows;
+          results.insertId = chunkResults.insertId;
+          return insertChunk(index + 1);
+        });
+      };
+
+      insertChunk(0);
+    }, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement. The insertId of the results is the last insert rowid.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementReturnResult = (statement, params, idField, callback) => {
+    adapter.runStatement(statement, params, callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement. The statements that return rows (Ex: SELECT) return the rows,
+   * so a transaction can read its own changes.
+   * @param connection - The sqlite database passed to the transaction execute function.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param callback - The finished callback function. callback(err, results); The results are the rows of
+   * a statement that returns rows.
+   */
+  adapter.runStatementInTransaction = (connection, statement, params, callback) => {
+    // make sure the database is open.
+    if (!db) {
+      return callback(new Error('DB connection not initialized.'));
+    }
+
+    if (!ROWS_STATEMENT_PATTERN.test(statement)) {
+      return runStatementOnDatabase(connection, statement, params, callback);
+    }
+
+    // convert named parameters to question mark placeholders.
+    let query = null;
+
+    try {
+      query = SqlUtils.toPositionalQuery(statement, params);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    connection.all(query.sql, query.params || [], callback);
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to
+   * inject into the sql statement.
+   * @param connection - The sqlite database passed to the transaction execute function.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - An array of parameters.
+   * @param idField - The field name of the ID field.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  adapter.runStatementInTransactionReturnResult = (connection, statement, params, idField, callback) => {
+    adapter.runStatementInTransaction(connection, statement, params, callback);
+  };
+
+  /**
+   * Executes a stored procedure. Not supported by sqlite.
+   * @param sql - The sql call.
+   * @param params - Array of parameters needed by the call.
+   * @param callback - The finished callback function.
+   */
+  adapter.executeStoredProcedure = (sql, params, callback) => {
+    return callback(new Error('Stored procedures not supported for sqlite adapter.'));
+  };
+
+  /**
+   * Creates and runs a transaction on the database.
+   * No other statements are run on the database until the transaction is finished. The statements of the
+   * execute function run in the transaction, whether they use the passed in connection (runStatementInTransaction)
+   * or the other adapter functions. A runTransaction of the execute function runs in a savepoint.
+   * @param executeFunction - The function to be executed containing the statements to run. Should take in a callback function
+   * or return a promise.
+   * @param callback - The finished callback function. callback(err, result);
+   * @param [options] - The transaction options. { connection, isolationLevel, readOnly, lockTimeout }
+   * Pass the connection of an open transaction to run the execute function in a savepoint of that transaction.
+   * sqlite transactions are always serializable, so the isolation level is only checked. Read only transactions
+   * turn on PRAGMA query_only and the lock timeout replaces the busy timeout until the transaction ends.
+   */
+  adapter.runTransaction = (executeFunction, callback, options) => {
+    // make sure the database is open.
+    if (!db) {
+      return callback(new Error('DB connection not initialized.'));
+    }
+
+    // a transaction inside of a transaction runs in a savepoint of the outer transaction.
+    if ((options && options.connection) || isInOpenTransaction()) {
+      return TransactionUtils.runInSavepoint(SAVEPOINT_STATEMENTS, (statement, done) => {
+        runStatementOnDatabase(db, statement, [], done);
+      }, db, executeFunction, callback);
+    }
+
+    // get the isolation level, read only and lock timeout settings.
+    let settings = null;
+
+    try {
+      settings = TransactionUtils.getTransactionSettings(options) || {};
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    runLocked((release) => {
+      let transaction = {
+        isOpen: true
+      };
+
+      // puts the connection settings back and lets the next statement run.
+      let finish = (err, result) => {
+        // the calls of the execute function that are still running wait on the lock from now on.
+        transaction.isOpen = false;
+
+        if (settings.lockTimeout) {
+          db.configure('busyTimeout', dbOptions.busyTimeout || 0);
+        }
+
+        if (!settings.readOnly) {
+          release();
+          return callback(err, result);
+        }
+
+        db.run('PRAGMA query_only = OFF', (e) => {
+          if (e) {
+            console.log(e);
+          }
+
+          release();
+          return callback(err, result);
+        });
+      };
+
+      if (settings.lockTimeout) {
+        db.configure('busyTimeout', settings.lockTimeout);
+      }
+
+      let beginStatements = (settings.readOnly) ? ['BEGIN TRANSACTION', 'PRAGMA query_only = ON'] : ['BEGIN TRANSACTION'];
+
+      // begin a transaction.
+      TransactionUtils.runStatements(beginStatements, (statement, done) => {
+        db.run(statement, done);
+      }, (err) => {
+        // check if an error occurred creating a transaction. The rollback fails when the begin statement failed.
+        if (err) {
+          return db.run('ROLLBACK', () => {
+            return finish(err);
+          });
+        }
+
+        // execute the function.
+        transactionContext.run(transaction, () => CallbackUtils.invokeExecuteFunction(executeFunction, db, (err, result) => {
+          // check if an error occurred.
+          if (err) {
+            // rollback any changes in the event of an error.
+            db.run('ROLLBACK', (e) => {
+              if (e) {
+                console.log(e);
+              }
+
+              return finish(err);
+            });
+          }
+          else {
+            db.run('COMMIT', (err) => {
+              if (err) {
+                db.run('ROLLBACK', () => {
+                  return finish(err);
+                });
+              }
+              else {
+                return finish(null, result);
+              }
+            });
+          }
+        }));
+      });
+    });
+  };
+
+  //======================================================================================
+  // Error Functions.
+  //======================================================================================
+
+  /**
+   * Checks if an error is transient, so the transaction or statement can be run again.
+   * The database busy and locked errors are retryable.
+   * @param err - The error.
+   * @returns {boolean}
+   */
+  adapter.isRetryableError = (err) => {
+    return !!err && RETRYABLE_ERROR_CODES.indexOf(err.code) >= 0;
+  };
+
+  /**
+   * Wraps a driver error in the matching DbError type. Other errors are returned as they are.
+   * @param err - The error.
+   * @param sql - The failing sql string with its placeholders.
+   * @returns {Error}
+   */
+  adapter.toDbError = (err, sql) => {
+    return DbErrors.wrapError(err, sql, classifyError);
+  };
+
+  //======================================================================================
+  // Schema Functions.
+  //======================================================================================
+
+  /**
+   * Gets the tables and views of the database.
+   * @param callback - The finished callback function. callback(err, [{ schema, name, type }]);
+   */
+  adapter.getTables = (callback) => {
+    SchemaUtils.getTables(runCatalogQuery, CATALOG_QUERIES, callback);
+  };
+
+  /**
+   * Describes the columns, primary key, indexes and foreign keys of a table.
+   * @param tableName - The table name. Ex: users or main.users
+   * @param callback - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+   */
+  adapter.describeTable = (tableName, callback) => {
+    SchemaUtils.describeTable(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  /**
+   * Gets the foreign keys of a table.
+   * @param tableName - The table name. Ex: users or main.users
+   * @param callback - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+   */
+  adapter.getForeignKeys = (tableName, callback) => {
+    SchemaUtils.getForeignKeys(runCatalogQuery, CATALOG_QUERIES, tableName, callback);
+  };
+
+  //======================================================================================
+  // Private Functions.
+  //======================================================================================
+
+  /**
+   * Runs a catalog query of the schema functions. The catalog rows are not type converted.
+   * @param sqlString - The catalog query.
+   * @param params - The named parameters object.
+   * @param callback - The finished callback function. callback(err, rows);
+   */
+  function runCatalogQuery(sqlString, params, callback) {
+    adapter.runQuery(sqlString, params, callback, false, { convertTypes: false });
+  }
+
+  /**
+   * Runs a query or statement once no other task is using the database connection. A query that times out
+   * or is cancelled is stopped with db.interrupt, which only stops this query while it holds the connection.
+   * @param sqlString - The sql string, added to the timeout and cancel errors.
+   * @param options - The call options. { timeoutMs: Number, signal: AbortSignal }
+   * @param run - Runs the query. function (done) {}
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  function runLockedQuery(sqlString, options, run, callback) {
+    CancelUtils.runCancellable(options, sqlString, (cancellation, done) => {
+      runLocked((release) => {
+        // the query was stopped while it waited on the connection.
+        if (cancellation.isCancelled()) {
+          release();
+          return done(new Error('The query was stopped before it ran.'));
+        }
+
+        run((err, results) => {
+          // let the next statement run.
+          release();
+
+          // return the results.
+          return done(err, results);
+        });
+
+        cancellation.onCancel(() => {
+          db.interrupt();
+        });
+      });
+    }, callback);
+  }
+
+  /**
+   * Runs a task once no other task is using the database connection. The tasks of the execute function of
+   * the open transaction run right away, because the transaction already holds the connection.
+   * @param task - The task function. function (release) {}
+   */
+  function runLocked(task) {
+    if (isInOpenTransaction()) {
+      return task(() => {});
+    }
+
+    lockQueue.push(task);
+    runNextLocked();
+  }
+
+  /**
+   * Checks if the caller is the execute function of the open transaction.
+   * @returns {boolean}
+   */
+  function isInOpenTransaction() {
+    let transaction = transactionContext.getStore();
+
+    return !!transaction && transaction.isOpen;
+  }
+
+  /**
+   * Runs the next queued task if the database connection is free.
+   */
+  function runNextLocked() {
+    if (isLocked || lockQueue.length === 0) {
+      return;
+    }
+
+    isLocked = true;
+    let task = lockQueue.shift();
+
+    task(() => {
+      isLocked = false;
+      runNextLocked();
+    });
+  }
+
+  return adapter;
+};
+
+/**
+ * Runs a statement on the sqlite database and builds a mysql like results object.
+ * @param database - The sqlite database.
+ * @param statement - The sql statement string with question mark or :name placeholders.
+ * @param params - An array of parameters or named parameters object.
+ * @param callback - The finished callback function. callback(err, results);
+ */
+function runStatementOnDatabase(database, statement, params, callback) {
+  // convert named parameters to question mark placeholders.
+  let query = null;
+
+  try {
+    query = SqlUtils.toPositionalQuery(statement, params);
+  }
+  catch (ex) {
+    return callback(ex);
+  }
+
+  database.run(query.sql, query.params || [], function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    // the statement object holds the last insert rowid and number of changed rows.
+    return callback(null, {
+      insertId: this.lastID,
+      affectedRows: this.changes
+    });
+  });
+}
+
+/**
+ * Finds the DbError type of a sqlite error. sqlite only reports the table and column names of
+ * constraint errors in the message. Ex: SQLITE_CONSTRAINT: NOT NULL constraint failed: users.name
+ * @param err - The error.
+ * @returns {Object|null} - null when the error doesn't come from the driver.
+ */
+function classifyError(err) {
+  if (typeof err.code !== 'string' || err.code.indexOf('SQLITE_') !== 0) {
+    return null;
+  }
+
+  if (err.code === 'SQLITE_CONSTRAINT') {
+    let match = /(UNIQUE|NOT NULL) constraint failed: ([^\s,.]+)\.([^\s,]+)(,)?/.exec(err.message);
+
+    if (match) {
+      return {
+        type: (match[1] === 'UNIQUE') ? 'UniqueViolation' : 'NotNullViolation',
+        table: match[2],
+        column: (match[4]) ? null : match[3]
+      };
+    }
+
+    if (/FOREIGN KEY constraint failed/.test(err.message)) {
+      return {
+        type: 'ForeignKeyViolation'
+      };
+    }
+  }
+
+  if (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED') {
+    return {
+      type: 'Timeout'
+    };
+  }
+
+  if (err.code === 'SQLITE_CANTOPEN' || err.code === 'SQLITE_NOTADB' || /Database is closed/.test(err.message)) {
+    return {
+      type: 'ConnectionError'
+    };
+  }
+
+  if (err.code === 'SQLITE_ERROR' && /syntax error|incomplete input|no such (table|column)/.test(err.message)) {
+    return {
+      type: 'SyntaxError'
+    };
+  }
+
+  return {
+    type: 'DbError'
+  };
+}
@@ -0,0 +1,1366 @@
+'use strict';
+
+// dependencies.
+const _ = require('lodash');
+const EventEmitter = require('events');
+const CallbackUtils = require('./utilities/callback-utilities');
+const SqlDialects = require('./utilities/sql-dialects');
+const SqlUtils = require('./utilities/sql-utilities');
+const QueryBuilder = require('./utilities/query-builder');
+const SqlGenerators = require('./utilities/sql-generators');
+const Pagination = require('./utilities/pagination');
+const Migrations = require('./utilities/migrations');
+const RetryUtils = require('./utilities/retry-utilities');
+const TransactionUtils = require('./utilities/transaction-utilities');
+const ReplicaSet = require('./utilities/replica-set');
+const StreamUtils = require('./utilities/stream-utilities');
+const DbErrors = require('./utilities/db-errors');
+const constants = require('./constants/constants');
+
+// the round trip of the health checks.
+const HEALTH_CHECK_QUERY = 'SELECT 1';
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 5000;
+
+// the time in milliseconds close waits on the running queries and transactions by default.
+const DEFAULT_DRAIN_TIMEOUT = 10000;
+
+/**
+ * Creates a new database client. Every client has its own adapter instance and connection pool,
+ * so one process can work with multiple databases at the same time.
+ * @param [clientOptions] - The db config options object used when configure is called without options.
+ * @returns {Object} - The client object.
+ */
+exports.createClient = (clientOptions) => {
+  // the client object.
+  const client = {};
+
+  // current adapter to use.
+  let currentAdapterName = null;
+  let currentAdapter = null;
+
+  // flag indicating if the client was configured or not yet.
+  let isConfigured = false;
+
+  // flag indicating if close is waiting on the running work. New work is rejected while it is set.
+  let isClosing = false;
+
+  // reference to the db options.
+  let dbOptions = null;
+
+  // the read replicas of the replicas db option or null.
+  let replicaSet = null;
+
+  // fires the query events.
+  const queryEvents = new EventEmitter();
+
+  // the listeners added by addQueryHooks, so close can remove them again. [{ eventName, listener }]
+  let queryHooks = [];
+
+  // the number of running calls and the open transactions, so close can wait on them.
+  // The transactions are { abort: Function } and are removed when they have committed or rolled back.
+  let activeCalls = 0;
+  const openTransactions = new Set();
+
+  // called by close when a call or transaction finishes.
+  let drainListener = null;
+
+  // the ids of the open transactions by their connection.
+  const transactionIds = new WeakMap();
+  let transactionCounter = 0;
+
+  //======================================================================================
+  // Initialization and Destruction Functions.
+  //======================================================================================
+
+  /**
+   * Performs initialization and configuration of the sql db adapter.
+   * @param [options] - The db config options object. Defaults to the options passed to createClient.
+   * @param [callback] - The finished callback function. If omitted, a promise is returned.
+   */
+  client.configure = (options, callback) => {
+    // the options are optional.
+    if (_.isFunction(options)) {
+      callback = options;
+      options = null;
+    }
+
+    // default to the client options.
+    options = options || clientOptions;
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      // check if the module was already configured.
+      if (isConfigured) {
+        return done();
+      }
+
+      // make sure the options are set.
+      if (!options) {
+        return done(new Error('Database options are not set.'));
+      }
+
+      // save the options.
+      dbOptions = options;
+
+      // save the adapter name.
+      currentAdapterName = options.adapterName;
+
+      // make sure the adapter name is set.
+      if (!currentAdapterName) {
+        return done(new Error('Adapter name is not set.'));
+      }
+
+      // create a new instance of the sql adapter, so every client gets its own connection pool.
+      currentAdapter = require('./database-adapters/' + currentAdapterName).createAdapter();
+
+      // the replicas are configured when they are used for the first time.
+      let replicaError = createReplicaSet(options);
+
+      if (replicaError) {
+        return done(replicaError);
+      }
+
+      // configure the adapter.
+      currentAdapter.configure(options, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        verifyConnection(options, (err) => {
+          // if there was no error, set the isConfigured flag to true.
+          if (!err) {
+            isConfigured = true;
+            addQueryHooks(options);
+          }
+
+          // fire the callback to signal that the module was configured.
+          return done(err);
+        });
+      });
+    });
+  };
+
+  /**
+   * Getter function for the isConfigured flag.
+   * @returns {boolean}
+   */
+  client.isConfigured = () => {
+    return isConfigured;
+  };
+
+  /**
+   * Getter function for the name of the adapter used by the client.
+   * @returns {string|null}
+   */
+  client.getAdapterName = () => {
+    return currentAdapterName;
+  };
+
+  /**
+   * Getter function for the adapter instance used by the client.
+   * Used to reach the adapter specific functions. Ex: the expect function of the mock adapter.
+   * @returns {Object|null}
+   */
+  client.getAdapter = () => {
+    return currentAdapter;
+  };
+
+  /**
+   * Close all connections to the underlying sql database.
+   * New calls fail with a ShuttingDown error right away. The running queries and open transactions get the
+   * drain timeout to finish. The transactions still open at the deadline are rolled back. Then the pool,
+   * the replicas and the session stores are closed and the client can be configured again.
+   * @param [options] - The close options. { drainTimeoutMs: Number } The drain timeout defaults to 10000 ms.
+   * @param [callback] - Finished callback function. If omitted, a promise is returned.
+   */
+  client.close = (options, callback) => {
+    // the options are optional.
+    if (_.isFunction(options)) {
+      callback = options;
+      options = null;
+    }
+
+    options = options || {};
+
+    let drainTimeoutMs = (_.isNil(options.drainTimeoutMs)) ? DEFAULT_DRAIN_TIMEOUT : options.drainTimeoutMs;
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      // make sure the adapter has been configured.
+      if (!isConfigured) {
+        return done(new Error('Module not configured.'));
+      }
+
+      if (isClosing) {
+        return done(createShutdownError());
+      }
+
+      isClosing = true;
+
+      drainCalls(drainTimeoutMs, () => {
+        // close the pool.
+        currentAdapter.close((err) => {
+          // close the pools of the replicas.
+          let closeReplicas = (replicaSet) ? replicaSet.close : (closed) => closed();
+
+          closeReplicas((e) => {
+            replicaSet = null;
+            isConfigured = false;
+            isClosing = false;
+            removeQueryHooks();
+
+            return done(err || e || null);
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Gets the session store object for express.
+   * @param [callback] - The finished callback function. If omitted, a promise is returned.
+   */
+  client.getSessionStore = (callback) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      // check if the module is configured or not.
+      if (!isConfigured) {
+        return done(new Error('Module not configured.'));
+      }
+
+      // get the session store.
+      currentAdapter.getSessionStore(done);
+    });
+  };
+
+  //======================================================================================
+  // Health Functions.
+  //======================================================================================
+
+  /**
+   * Runs a cheap round trip on the primary database to check if it can be reached (Ex: for a readiness probe).
+   * A failed check is reported in the result instead of as an error.
+   * @param [options] - The health check options. { timeoutMs: Number } The timeout defaults to 5000 ms.
+   * @param [callback] - The finished callback function. If omitted, a promise is returned.
+   * callback(err, { healthy: Boolean, latency: Number, error: Error|null, replicas: Array })
+   * The latency is in milliseconds and the replicas are the state of the read replicas (see getPoolStats).
+   */
+  client.healthCheck = (options, callback) => {
+    // the options are optional.
+    if (_.isFunction(options)) {
+      callback = options;
+      options = null;
+    }
+
+    options = options || {};
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      // make sure the adapter has been configured.
+      if (!isConfigured) {
+        return done(new Error('Module not configured.'));
+      }
+
+      runHealthCheck(options.timeoutMs, (err, latency) => {
+        return done(null, {
+          healthy: !err,
+          latency: latency,
+          error: err || null,
+          replicas: (replicaSet) ? replicaSet.getReplicas() : []
+        });
+      });
+    });
+  };
+
+  /**
+   * Gets the connection counts of the connection pools.
+   * { primary: { total, idle, inUse, waiting }, replicas: [{ server, port, healthy, activeQueries, pool }] }
+   * The in use connections run a query or transaction and the waiting count is the number of calls
+   * waiting on a connection. The pool of a replica is null until the replica is used.
+   * @returns {Object|null} - The pool stats or null when the client isn't configured.
+   */
+  client.getPoolStats = () => {
+    if (!isConfigured) {
+      return null;
+    }
+
+    return {
+      primary: currentAdapter.getPoolStats(),
+      replicas: (replicaSet) ? replicaSet.getReplicas() : []
+    };
+  };
+
+  //======================================================================================
+  // Query Event Functions.
+  //
+  // The queryStart, queryEnd and queryError events fire for every query, statement, stored
+  // procedure and transaction. The event object is
+  // { method, sql, params, adapterName, transactionId, duration, rowCount, error }.
+  // The queryRetry event fires before a statement or transaction is retried. { method, adapterName, attempt, delay, error }
+  // The replicaEjected event fires when a read replica is ejected. { server, port, adapterName, ejectTime, error }
+  //======================================================================================
+
+  /**
+   * Adds a query event listener. Errors thrown by the listener are logged with the errorLogger and don't affect the query.
+   * Ex: client.on('queryEnd', (event) => { metrics.timing(event.method, event.duration); });
+   * @param eventName - The event name. queryStart, queryEnd, queryError, queryRetry or replicaEjected (see the constants).
+   * @param listener - The listener function. function (event) {}
+   * @returns {Object} - The client.
+   */
+  client.on = (eventName, listener) => {
+    queryEvents.on(eventName, listener);
+    return client;
+  };
+
+  /**
+   * Removes a query event listener.
+   * @param eventName - The event name.
+   * @param listener - The listener function that was added.
+   * @returns {Object} - The client.
+   */
+  client.off = (eventName, listener) => {
+    queryEvents.removeListener(eventName, listener);
+    return client;
+  };
+
+  //======================================================================================
+  // Query Builder Functions.
+  //======================================================================================
+
+  /**
+   * Gets the sql dialect of the adapter used by the client.
+   * @returns {Object}
+   */
+  client.getDialect = () => {
+    return SqlDialects.getDialect(dbOptions);
+  };
+
+  /**
+   * Starts a select query for the client's dialect.
+   * Ex: client.select(mappings).from('users').where({ status: 'A' }).orderBy('name').limit(50).build();
+   * @param [columns] - The array of columns or mapping objects. { field: String, rename: String }
+   * @param [tableName] - The table name to prefix the fields with.
+   * @returns {Object} - The query builder.
+   */
+  client.select = (columns, tableName) => {
+    return QueryBuilder.createQueryBuilder(getConfiguredDialect).select(columns, tableName);
+  };
+
+  /**
+   * Starts an insert query for the client's dialect.
+   * Ex: client.insertInto('users').values({ name: 'bob' }).build();
+   * @param tableName - The table name.
+   * @returns {Object} - The query builder.
+   */
+  client.insertInto = (tableName) => {
+    return QueryBuilder.createQueryBuilder(getConfiguredDialect).insertInto(tableName);
+  };
+
+  /**
+   * Starts an update query for the client's dialect.
+   * Ex: client.update('users').set({ name: 'bob' }).where({ id: 5 }).build();
+   * @param tableName - The table name.
+   * @returns {Object} - The query builder.
+   */
+  client.update = (tableName) => {
+    return QueryBuilder.createQueryBuilder(getConfiguredDialect).update(tableName);
+  };
+
+  /**
+   * Starts a delete query for the client's dialect.
+   * Ex: client.deleteFrom('users').where({ id: 5 }).build();
+   * @param tableName - The table name.
+   * @returns {Object} - The query builder.
+   */
+  client.deleteFrom = (tableName) => {
+    return QueryBuilder.createQueryBuilder(getConfiguredDialect).deleteFrom(tableName);
+  };
+
+  //======================================================================================
+  // SQL Generation Functions.
+  //
+  // The table and column names are quoted for the client's dialect. Before configure the names are used as they
+  // are, except by generateUpsertObject, which throws because its sql depends on the database.
+  // Pass an options object with an allowedColumns array to reject unknown keys. Ex: { allowedColumns: ['name', 'email'] }
+  //======================================================================================
+
+  /**
+   * Builds the list of select fields using an array of mappings.
+   * @param tableName - The table name.
+   * @param mappings - The array of mapping objects. { field: String, rename: String }
+   * @param [options] - The options object. { allowedColumns: Array }
+   * @returns {string}
+   */
+  client.createSelectFields = (tableName, mappings, options) => {
+    return SqlGenerators.createSelectFields(getGeneratorDialect(), tableName, mappings, options);
+  };
+
+  /**
+   * Builds an insert object (object with sql and params array).
+   * @param tableName - The name of the table to insert into.
+   * @param parameters - An object of key value pairs.
+   * @param [options] - The options object. { allowedColumns: Array }
+   * @returns {{sql: string, params: Array}}
+   */
+  client.generateInsertObject = (tableName, parameters, options) => {
+    return SqlGenerators.generateInsertObject(getGeneratorDialect(), tableName, parameters, options);
+  };
+
+  /**
+   * Builds an update object (object with sql and params array).
+   * @param tableName - The name of the table.
+   * @param parameters - The object of key value pairs where keys are the db column names.
+   * @param conditions - The sql condition statement.
+   * @param conditionParams - The array of parameters that match the conditions place markers.
+   * @param [options] - The options object. { allowedColumns: Array }
+   * @returns {{sql: string, params: Array}}
+   */
+  client.generateUpdateObject = (tableName, parameters, conditions, conditionParams, options) => {
+    return SqlGenerators.generateUpdateObject(getGeneratorDialect(), tableName, parameters, conditions, conditionParams, options);
+  };
+
+  /**
+   * Builds a delete object (object with sql and params array).
+   * @param tableName - The name of the table.
+   * @param conditions - The sql condition statement.
+   * @param conditionParams - The array of parameters that match the conditions place markers.
+   * @returns {{sql: string, params: Array}}
+   */
+  client.generateDeleteObject = (tableName, conditions, conditionParams) => {
+    return SqlGenerators.generateDeleteObject(getGeneratorDialect(), tableName, conditions, conditionParams);
+  };
+
+  /**
+   * Builds an insert or update object (object with sql and params array) for the client's adapter.
+   * @param tableName - The name of the table.
+   * @param parameters - The object of key value pairs where keys are the db column names.
+   * @param keyColumns - The array of unique key column names used to find the existing row.
+   * @param [updateColumns] - The array of column names to update if the row exists. Defaults to every non key column.
+   * @param [options] - The options object. { allowedColumns: Array }
+   * @returns {{sql: string, params: Array}}
+   */
+  client.generateUpsertObject = (tableName, parameters, keyColumns, updateColumns, options) => {
+    return SqlGenerators.generateUpsertObject(getConfiguredDialect(), tableName, parameters, keyColumns, updateColumns, options);
+  };
+
+  //======================================================================================
+  // SQL Functions.
+  //
+  // Every function takes an optional callback. If the callback is omitted (pass null when
+  // there are arguments after it), a promise is returned instead.
+  //======================================================================================
+
+  /**
+   * Runs a string sql query with no external parameters.
+   * @param query - The string query.
+   * @param [callback] - The finished callback function.
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   * @param [options] - The query options. { usePrimary: Boolean } The query runs on a read replica unless
+   * usePrimary is set. See the replicas db option.
+   */
+  client.runStringQuery = (query, callback, multipleResultSets, options) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('runStringQuery', query, [], null, (finished) => {
+        runRead(options, (adapter, readDone) => {
+          adapter.runStringQuery(query, readDone, multipleResultSets);
+        }, finished);
+      }, done);
+    });
+  };
+
+  /**
+   * Runs a sql query with parameters to be inserted into the statement.
+   * @param sqlString - The sql string with question mark placeholders.
+   * @param params - The array of parameters to be inserted.
+   * @param [callback] - The finished callback function. callback(err, rows);
+   * @param multipleResultSets - Flag indicating if multiple result sets are returned.
+   * @param [options] - The query options. { timeoutMs: Number, signal: AbortSignal, usePrimary: Boolean, convertTypes: Boolean }
+   * The query is stopped and fails with a QueryTimeout error once the timeoutMs pass and with a QueryCancelled
+   * error once the signal aborts. The query runs on a read replica unless usePrimary is set (Ex: to read
+   * a row right after writing it). See the replicas db option. Set convertTypes to false to skip the
+   * typeConversion db option.
+   */
+  client.runQuery = (sqlString, params, callback, multipleResultSets, options) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('runQuery', sqlString, params, null, (finished) => {
+        runRead(options, (adapter, readDone) => {
+          adapter.runQuery(sqlString, params, readDone, multipleResultSets, options);
+        }, finished);
+      }, done);
+    });
+  };
+
+  /**
+   * Runs a sql query and returns the rows as an object mode readable stream instead of collecting
+   * them into memory. The stream can also be consumed with for await. The connection is released when
+   * the stream ends and the query is cancelled when the stream is destroyed early (break out of the loop).
+   * @param sqlString - The sql string with question mark or :name placeholders.
+   * @param params - The array of parameters or named parameters object.
+   * @param [options] - The stream options. { highWaterMark: Number } Defaults to 100 buffered rows.
+   * @returns {Readable} - The stream of rows.
+   */
+  client.streamQuery = (sqlString, params, options) => {
+    // make sure the adapter has been configured.
+    if (!isConfigured) {
+      return createFailedStream(options, new Error('Module not configured.'));
+    }
+
+    if (isClosing) {
+      return createFailedStream(options, createShutdownError());
+    }
+
+    // wrap the driver errors of the stream in the DbError types like the errors of the other calls.
+    let stream = currentAdapter.streamQuery(sqlString, params, _.assign({}, options, {
+      toError: (err) => (currentAdapter.toDbError) ? currentAdapter.toDbError(err, sqlString) : err
+    }));
+
+    // the stream is a running call until it ends or is destroyed, so close waits on it.
+    let finishStream = _.once(() => {
+      activeCalls--;
+      notifyDrain();
+    });
+
+    activeCalls++;
+    stream.once('end', finishStream);
+    stream.once('close', finishStream);
+
+    return stream;
+  };
+
+  /**
+   * Runs a select query one page at a time.
+   *
+   * Offset mode { page: Number, pageSize: Number } runs the query with the limit and offset of the page
+   * and a COUNT of the query. callback(err, { rows, total, page, pageCount });
+   *
+   * Keyset mode { keyset: Array, cursor: String, pageSize: Number } orders the query by the keyset columns
+   * and selects the rows after the cursor. The keyset columns are column names of the query results
+   * (Ex: ['created', { column: 'id', direction: 'DESC' }]) and together have to be unique.
+   * Pass the nextCursor of a page to get the next page. callback(err, { rows, nextCursor, hasMore });
+   *
+   * @param sqlString - The select query with question mark or :name placeholders. The ORDER BY clause
+   * is used in offset mode and replaced by the keyset columns in keyset mode.
+   * @param params - The array of parameters or named parameters object.
+   * @param options - The pagination options. The page defaults to 1 and the pageSize to 25.
+   * @param [callback] - The finished callback function.
+   */
+  client.paginate = (sqlString, params, options, callback) => {
+    options = options || {};
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      let queries = null;
+
+      try {
+        queries = (options.keyset) ?
+          Pagination.buildKeysetQuery(client.getDialect(), sqlString, params, options) :
+          Pagination.buildOffsetQueries(client.getDialect(), sqlString, params, options);
+      }
+      catch (ex) {
+        return done(ex);
+      }
+
+      if (options.keyset) {
+        return paginateKeyset(queries, done);
+      }
+
+      return paginateOffset(queries, done);
+    });
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of
+   * parameters to inject into the sql statement.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - an object of key/value pairs where key is field name and value is the value.
+   * @param [callback] - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating whether or not multiple results sets are being returned.
+   * @param [options] - The statement options. { retry: Boolean|Object, isolationLevel, readOnly, lockTimeout, timeoutMs, signal }
+   * The retry policy overrides the retry db option. A statement with an isolation level, read only or lock timeout
+   * option runs in its own transaction with those settings. See runTransaction.
+   * The statement is stopped and fails with a QueryTimeout error once the timeoutMs pass and with a QueryCancelled
+   * error once the signal aborts. The timeout covers a single attempt and can't be combined with the transaction settings.
+   */
+  client.runStatement = (statement, params, callback, multipleResultSets, options) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      let settings = null;
+
+      try {
+        settings = TransactionUtils.getTransactionSettings(options);
+      }
+      catch (ex) {
+        return done(ex);
+      }
+
+      if (settings && (options.timeoutMs || options.signal)) {
+        return done(new Error('The timeoutMs and signal options can\'t be combined with transaction settings.'));
+      }
+
+      runWithRetry('runStatement', options, (attemptDone) => {
+        runWithEvents('runStatement', statement, params, null, (finished) => {
+          if (!settings) {
+            return currentAdapter.runStatement(statement, params, finished, multipleResultSets, options);
+          }
+
+          currentAdapter.runTransaction((connection, executeDone) => {
+            currentAdapter.runStatementInTransaction(connection, statement, params, executeDone, multipleResultSets);
+          }, finished, _.pick(options, ['isolationLevel', 'readOnly', 'lockTimeout']));
+        }, attemptDone);
+      }, done);
+    });
+  };
+
+  /**
+   * Runs a bulk insert statement.
+   * @param statement - The sql insert statement. Ex: INSERT INTO table_name (name, email, comment) VALUES ?;
+   * @param params - The values. Ex: [[values], [values]]
+   * @param [callback] - The finished callback function. callback(err);
+   * @param [options] - The adapter specific bulk insert options. Ex: mssql { columnTypes: { name: TYPES.NVarChar(100) } }
+   */
+  client.runBulkInsert = (statement, params, callback, options) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('runBulkInsert', statement, params, null, (finished) => {
+        currentAdapter.runBulkInsert(statement, params, finished, options);
+      }, done);
+    });
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of parameters to inject into the sql
+   * statement and returns the results back.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - an object of key/value pairs where key is field name and value is the value.
+   * @param idField - The ID field name.
+   * @param [callback] - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating whether or not multiple results sets are being returned.
+   */
+  client.runStatementReturnResult = (statement, params, idField, callback, multipleResultSets) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('runStatementReturnResult', statement, params, null, (finished) => {
+        currentAdapter.runStatementReturnResult(statement, params, idField, finished, multipleResultSets);
+      }, (err, results) => {
+        return setNewRowId(err, results, idField, done);
+      });
+    });
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of
+   * parameters to inject into the sql statement in a transaction.
+   * @param connection - The sql connection to use.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - an object of key/value pairs where key is field name and value is the value.
+   * @param [callback] - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating whether or not multiple results sets are being returned.
+   */
+  client.runStatementInTransaction = (connection, statement, params, callback, multipleResultSets) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('runStatementInTransaction', statement, params, getTransactionId(connection), (finished) => {
+        currentAdapter.runStatementInTransaction(connection, statement, params, finished, multipleResultSets);
+      }, done);
+    });
+  };
+
+  /**
+   * Runs a sql update, insert, delete on the database with an array of
+   * parameters to inject into the sql statement in a transaction and returns a result object.
+   * @param connection - The sql connection to use.
+   * @param statement - The sql statement string with question mark placeholders.
+   * @param params - an object of key/value pairs where key is field name and value is the value.
+   * @param idField - The field name of the ID field.
+   * @param [callback] - The finished callback function. callback(err, results);
+   * @param multipleResultSets - Flag indicating whether or not multiple results sets are being returned.
+   */
+  client.runStatementInTransactionReturnResult = (connection, statement, params, idField, callback, multipleResultSets) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('runStatementInTransactionReturnResult', statement, params, getTransactionId(connection), (finished) => {
+        currentAdapter.runStatementInTransactionReturnResult(connection, statement, params, idField, finished, multipleResultSets);
+      }, (err, results) => {
+        return setNewRowId(err, results, idField, done);
+      });
+    });
+  };
+
+  /**
+   * Executes a stored procedure.
+   * @param statement - The string procedure call with question mark wildcards.
+   * @param params - The procedure parameters to replace.
+   * @param [callback] - The finished callback function. callback(err, results);
+   * When a promise is returned and the adapter calls back with more than one result (mssql returns the
+   * output values as well), the promise resolves with an array of the results.
+   * @param multipleResultSets - Flag indicating whether or not multiple results sets are being returned.
+   */
+  client.executeStoredProcedure = (statement, params, callback, multipleResultSets) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      runWithEvents('executeStoredProcedure', statement, params, null, (finished) => {
+        currentAdapter.executeStoredProcedure(statement, params, finished, multipleResultSets);
+      }, done);
+    });
+  };
+
+  /**
+   * Executes a transaction on the database.
+   * The execute function can either take in a callback function: function (connection, callback) {}
+   * or be an async function: async function (connection) {}. The transaction is committed when the callback
+   * is fired without an error or the promise resolves and rolled back otherwise.
+   * @param executeFunction - The function to be run after the begin transaction statement.
+   * @param [callback] - The finished callback function. callback(err, result);
+   * @param [options] - The transaction options. { retry: Boolean|Object, connection, isolationLevel, readOnly, lockTimeout }
+   * The retry policy overrides the retry db option. A retried transaction runs the whole execute function again
+   * on a new transaction.
+   * Pass the connection of an open transaction to run the execute function in a savepoint of that transaction
+   * (nested transaction). A failure only rolls back the changes of the nested transaction and only the outer
+   * transaction commits. Nested transactions are not retried on their own.
+   * The isolationLevel is 'READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE' or 'SNAPSHOT'.
+   * The lockTimeout is the time in milliseconds to wait on a lock. Adapters fail the transaction with an error
+   * for the settings they don't support. Nested transactions can't change the settings of the outer transaction.
+   */
+  client.runTransaction = (executeFunction, callback, options) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      if (options && options.connection) {
+        // the settings of a transaction can't change once it has begun.
+        if (options.isolationLevel || options.readOnly || !_.isNil(options.lockTimeout)) {
+          return done(new Error('A nested transaction can\'t change the isolation level, read only or lock timeout settings.'));
+        }
+
+        return runTransactionWithEvents(executeFunction, getTransactionId(options.connection), options, done);
+      }
+
+      runWithRetry('runTransaction', options, (attemptDone) => {
+        // the statements of open transactions still run while the client is closing, new transactions don't.
+        if (isClosing) {
+          return attemptDone(createShutdownError());
+        }
+
+        transactionCounter++;
+        runTransactionWithEvents(executeFunction, transactionCounter, options, attemptDone);
+      }, done);
+    });
+  };
+
+  //======================================================================================
+  // Migration Functions.
+  //
+  // The options default to the migrationsDirectory and migrationsTableName db config options.
+  // { directory: String, tableName: String } See utilities/migrations.js for the file layout.
+  //======================================================================================
+
+  /**
+   * Applies the pending migrations in version order. Every migration runs in its own transaction.
+   * Nothing is run if an applied migration file changed or is missing.
+   * @param [options] - The migration options. { directory: String, tableName: String, to: String }
+   * The to option is the last version to apply.
+   * @param [callback] - The finished callback function. callback(err, appliedMigrations);
+   */
+  client.migrate = (options, callback) => {
+    // the options are optional.
+    if (_.isFunction(options)) {
+      callback = options;
+      options = null;
+    }
+
+    options = options || {};
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      createMigrator(options).up(options.to, done);
+    });
+  };
+
+  /**
+   * Reverts the applied migrations newer than a version in reverse version order.
+   * @param version - The version to go back to. Use 0 to revert all migrations.
+   * @param [options] - The migration options. { directory: String, tableName: String }
+   * @param [callback] - The finished callback function. callback(err, revertedMigrations);
+   */
+  client.migrateDown = (version, options, callback) => {
+    // the options are optional.
+    if (_.isFunction(options)) {
+      callback = options;
+      options = null;
+    }
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      createMigrator(options || {}).down(version, done);
+    });
+  };
+
+  /**
+   * Gets the status of every migration.
+   * @param [options] - The migration options. { directory: String, tableName: String }
+   * @param [callback] - The finished callback function. callback(err, [{ version, name, applied, appliedAt, changed, missing }]);
+   */
+  client.getMigrationStatus = (options, callback) => {
+    // the options are optional.
+    if (_.isFunction(options)) {
+      callback = options;
+      options = null;
+    }
+
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      createMigrator(options || {}).status(done);
+    });
+  };
+
+  //======================================================================================
+  // Schema Functions.
+  //
+  // Every adapter returns the same shape, so the results can be compared across databases.
+  //======================================================================================
+
+  /**
+   * Gets the tables and views of the database.
+   * @param [callback] - The finished callback function. callback(err, [{ schema, name, type }]);
+   */
+  client.getTables = (callback) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      if (isClosing) {
+        return done(createShutdownError());
+      }
+
+      currentAdapter.getTables(done);
+    });
+  };
+
+  /**
+   * Describes the columns, primary key, indexes and foreign keys of a table.
+   * The columns are { name, position, type, maxLength, precision, scale, nullable, defaultValue, autoIncrement }.
+   * @param tableName - The table name. Prefix it with the schema to look outside the default schema. Ex: sales.orders
+   * @param [callback] - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+   */
+  client.describeTable = (tableName, callback) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      if (isClosing) {
+        return done(createShutdownError());
+      }
+
+      currentAdapter.describeTable(tableName, done);
+    });
+  };
+
+  /**
+   * Gets the foreign keys of a table.
+   * @param tableName - The table name. Prefix it with the schema to look outside the default schema. Ex: sales.orders
+   * @param [callback] - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+   */
+  client.getForeignKeys = (tableName, callback) => {
+    return CallbackUtils.callbackOrPromise(callback, (done) => {
+      if (isClosing) {
+        return done(createShutdownError());
+      }
+
+      currentAdapter.getForeignKeys(tableName, done);
+    });
+  };
+
+  /**
+   * Runs an adapter call and fires the query events around it.
+   * @param method - The client function name.
+   * @param sql - The sql string. null for transactions.
+   * @param params - The parameters.
+   * @param transactionId - The id of the transaction the call is part of or null.
+   * @param run - Runs the adapter call. function (done) {}
+   * @param callback - The finished callback function.
+   */
+  function runWithEvents(method, sql, params, transactionId, run, callback) {
+    // only the calls of open transactions still run while the client is closing.
+    if (isClosing && _.isNil(transactionId)) {
+      return callback(createShutdownError());
+    }
+
+    let event = {
+      method: method,
+      sql: sql,
+      params: params,
+      adapterName: currentAdapterName,
+      transactionId: transactionId
+    };
+
+    let startTime = Date.now();
+
+    activeCalls++;
+    emitQueryEvent(constants.QUERY_START_EVENT, event);
+
+    run((err, ...results) => {
+      activeCalls--;
+
+      let endEvent = _.assign({}, event, {
+        duration: Date.now() - startTime
+      });
+
+      // wrap the driver errors in the DbError types.
+      if (err && currentAdapter.toDbError) {
+        err = currentAdapter.toDbError(err, sql);
+      }
+
+      if (err) {
+        endEvent.error = err;
+        emitQueryEvent(constants.QUERY_ERROR_EVENT, endEvent);
+      }
+      else {
+        // transactions have no rows of their own.
+        endEvent.rowCount = (sql === null) ? null : SqlUtils.getRowCount(results[0]);
+        emitQueryEvent(constants.QUERY_END_EVENT, endEvent);
+      }
+
+      notifyDrain();
+
+      return callback(err, ...results);
+    });
+  }
+
+  /**
+   * Runs a transaction on the adapter and fires the query events around it.
+   * @param executeFunction - The transaction execute function.
+   * @param transactionId - The id of the transaction.
+   * @param options - The transaction options.
+   * @param callback - The finished callback function. callback(err, result);
+   */
+  function runTransactionWithEvents(executeFunction, transactionId, options, callback) {
+    runWithEvents('runTransaction', null, null, transactionId, (finished) => {
+      // lets close roll back the transaction at the drain deadline.
+      let openTransaction = null;
+
+      currentAdapter.runTransaction((connection, executeDone) => {
+        // remember the transaction of the connection for the events of its statements. Nested
+        // transactions usually get the connection of the outer transaction, which is already known.
+        let isNewConnection = _.isObject(connection) && !transactionIds.has(connection);
+
+        if (isNewConnection) {
+          transactionIds.set(connection, transactionId);
+        }
+
+        // the execute function is done or the transaction was aborted. Whatever comes first ends the transaction.
+        let finishExecute = _.once((err, result) => {
+          if (isNewConnection) {
+            transactionIds.delete(connection);
+          }
+
+          return executeDone(err, result);
+        });
+
+        openTransaction = {
+          abort: () => {
+            finishExecute(new DbErrors.ShuttingDown('The transaction was rolled back, because the client was closed.'));
+          }
+        };
+
+        openTransactions.add(openTransaction);
+
+        CallbackUtils.invokeExecuteFunction(executeFunction, connection, finishExecute);
+      }, (err, result) => {
+        if (openTransaction) {
+          openTransactions.delete(openTransaction);
+          notifyDrain();
+        }
+
+        return finished(err, result);
+      }, options);
+    }, callback);
+  }
+
+  /**
+   * Runs the health check query on the primary adapter.
+   * @param timeoutMs - The timeout of the query. Defaults to 5000 ms.
+   * @param callback - The finished callback function. callback(err, latency);
+   */
+  function runHealthCheck(timeoutMs, callback) {
+    let start = Date.now();
+
+    currentAdapter.runQuery(HEALTH_CHECK_QUERY, [], (err) => {
+      return callback(currentAdapter.toDbError(err, HEALTH_CHECK_QUERY), Date.now() - start);
+    }, false, { timeoutMs: timeoutMs || DEFAULT_HEALTH_CHECK_TIMEOUT });
+  }
+
+  /**
+   * Runs a health check after the adapter was configured when the verifyConnection db option is set, so a bad
+   * server or password fails configure instead of the first query. The adapter is closed when the check fails.
+   * The mock adapter isn't verified.
+   * @param options - The db config options. { verifyConnection: Boolean, verifyConnectionTimeout: Number }
+   * @param callback - The finished callback function. callback(err);
+   */
+  function verifyConnection(options, callback) {
+    if (!options.verifyConnection || currentAdapterName === constants.MOCK_ADAPTER) {
+      return callback();
+    }
+
+    runHealthCheck(options.verifyConnectionTimeout, (err) => {
+      if (!err) {
+        return callback();
+      }
+
+      // the check error goes to the callback, so the close error is only logged.
+      currentAdapter.close((e) => {
+        if (e) {
+          logError('Closing the adapter after the failed connection check failed: ', e);
+        }
+
+        return callback(err);
+      });
+    });
+  }
+
+  /**
+   * Creates the read replicas of the replicas db option. The mock adapter doesn't use replicas.
+   * @param options - The db config options.
+   * @returns {Error|null} - The error of an invalid replica option.
+   */
+  function createReplicaSet(options) {
+    if (_.isEmpty(options.replicas) || currentAdapterName === constants.MOCK_ADAPTER) {
+      return null;
+    }
+
+    try {
+      replicaSet = ReplicaSet.createReplicaSet(currentAdapter, currentAdapterName, options, (event) => {
+        emitQueryEvent(constants.REPLICA_EJECTED_EVENT, _.assign({ adapterName: currentAdapterName }, event));
+      });
+    }
+    catch (ex) {
+      return ex;
+    }
+
+    return null;
+  }
+
+  /**
+   * Runs a read on a replica or on the primary adapter when the client has no replicas or the call options set usePrimary.
+   * @param options - The call options. { usePrimary: Boolean }
+   * @param run - Runs the read on an adapter. function (adapter, done) {}
+   * @param callback - The finished callback function.
+   */
+  function runRead(options, run, callback) {
+    if (!replicaSet || (options && options.usePrimary)) {
+      return run(currentAdapter, callback);
+    }
+
+    replicaSet.run(run, callback);
+  }
+
+  /**
+   * Runs a statement or transaction with the retry policy of the db options and the call.
+   * The errors are classified by the isRetryableError function of the adapter unless the policy has its own.
+   * @param method - The client function name.
+   * @param options - The call options. { retry: Boolean|Object }
+   * @param run - Runs one attempt. function (done) {}
+   * @param callback - The finished callback function.
+   */
+  function runWithRetry(method, options, run, callback) {
+    let policy = RetryUtils.getRetryPolicy(dbOptions && dbOptions.retry, options && options.retry);
+
+    if (!policy) {
+      return run(callback);
+    }
+
+    policy.isRetryable = policy.isRetryable || currentAdapter.isRetryableError || _.constant(false);
+
+    RetryUtils.runWithRetry(policy, (attempt, done) => {
+      run(done);
+    }, (retry) => {
+      let event = _.assign({
+        method: method,
+        adapterName: currentAdapterName
+      }, retry);
+
+      emitQueryEvent(constants.QUERY_RETRY_EVENT, event);
+
+      if (_.isFunction(policy.onRetry)) {
+        try {
+          policy.onRetry(event);
+        }
+        catch (ex) {
+          logError('The onRetry function failed: ', ex);
+        }
+      }
+    }, callback);
+  }
+
+  /**
+   * Fires a query event. A failing listener must not break the query callback.
+   * @param eventName - The event name.
+   * @param event - The event object.
+   */
+  function emitQueryEvent(eventName, event) {
+    try {
+      queryEvents.emit(eventName, event);
+    }
+    catch (ex) {
+      logError('A ' + eventName + ' listener failed: ', ex);
+    }
+  }
+
+  /**
+   * Logs an error that can't be passed to a callback with the errorLogger of the db options.
+   * Ex: the error of a query event listener or onRetry function.
+   * @param message - The start of the log message.
+   * @param err - The error.
+   */
+  function logError(message, err) {
+    let errorLogger = (dbOptions && dbOptions.errorLogger) || console.log;
+
+    errorLogger(message + err.message, err);
+  }
+
+  /**
+   * Gets the id of the transaction a connection belongs to.
+   * @param connection - The transaction connection.
+   * @returns {number|null}
+   */
+  function getTransactionId(connection) {
+    return (_.isObject(connection) && transactionIds.get(connection)) || null;
+  }
+
+  /**
+   * Adds the query hooks and the slow query logger of the db options.
+   * @param options - The db options. { onQueryStart, onQueryEnd, onQueryError, slowQueryThreshold, slowQueryLogger }
+   */
+  function addQueryHooks(options) {
+    let addHook = (eventName, listener) => {
+      queryEvents.on(eventName, listener);
+      queryHooks.push({ eventName: eventName, listener: listener });
+    };
+
+    if (_.isFunction(options.onQueryStart)) {
+      addHook(constants.QUERY_START_EVENT, options.onQueryStart);
+    }
+
+    if (_.isFunction(options.onQueryEnd)) {
+      addHook(constants.QUERY_END_EVENT, options.onQueryEnd);
+    }
+
+    if (_.isFunction(options.onQueryError)) {
+      addHook(constants.QUERY_ERROR_EVENT, options.onQueryError);
+    }
+
+    if (options.slowQueryThreshold > 0) {
+      let logSlowQuery = (event) => {
+        if (event.sql !== null && event.duration >= options.slowQueryThreshold) {
+          (options.slowQueryLogger || console.log)('Slow query (' + event.duration + ' ms): ' + formatQuery(event.sql, event.params), event);
+        }
+      };
+
+      addHook(constants.QUERY_END_EVENT, logSlowQuery);
+      addHook(constants.QUERY_ERROR_EVENT, logSlowQuery);
+    }
+  }
+
+  /**
+   * Removes the listeners added by addQueryHooks, so configuring the client again doesn't add them twice.
+   * The listeners added with client.on are kept.
+   */
+  function removeQueryHooks() {
+    _.forEach(queryHooks, (hook) => {
+      queryEvents.removeListener(hook.eventName, hook.listener);
+    });
+
+    queryHooks = [];
+  }
+
+  /**
+   * Waits on the running calls for the drain timeout. The transactions still open at the deadline are
+   * rolled back and only their rollbacks are waited on, so a long running query can't hold up the close.
+   * @param timeoutMs - The drain timeout in milliseconds.
+   * @param callback - The finished callback function.
+   */
+  function drainCalls(timeoutMs, callback) {
+    let timer = null;
+
+    let finish = () => {
+      clearTimeout(timer);
+      drainListener = null;
+      return callback();
+    };
+
+    drainListener = () => {
+      if (activeCalls === 0) {
+        finish();
+      }
+    };
+
+    timer = setTimeout(() => {
+      drainListener = () => {
+        if (openTransactions.size === 0) {
+          finish();
+        }
+      };
+
+      // abort ends the execute function with an error, so the adapter rolls the transaction back.
+      openTransactions.forEach((openTransaction) => {
+        openTransaction.abort();
+      });
+
+      notifyDrain();
+    }, timeoutMs);
+
+    notifyDrain();
+  }
+
+  /**
+   * Tells close that a call or transaction has finished.
+   */
+  function notifyDrain() {
+    if (drainListener) {
+      drainListener();
+    }
+  }
+
+  /**
+   * Gets the sql dialect for the query builder and generateUpsertObject. Their sql depends on the adapter,
+   * so it isn't built before configure.
+   * @returns {Object}
+   * @throws an error when the client wasn't configured yet.
+   */
+  function getConfiguredDialect() {
+    if (!dbOptions) {
+      throw new Error('Module not configured.');
+    }
+
+    return client.getDialect();
+  }
+
+  /**
+   * Gets the sql dialect for the sql generation functions that don't depend on the database. The names aren't
+   * quoted before configure.
+   * @returns {Object}
+   */
+  function getGeneratorDialect() {
+    return (dbOptions) ? client.getDialect() : SqlDialects.UNQUOTED_DIALECT;
+  }
+
+  /**
+   * Creates a row stream that fails with an error without running a query.
+   * @param options - The stream options.
+   * @param err - The error of the stream.
+   * @returns {Readable}
+   */
+  function createFailedStream(options, err) {
+    return StreamUtils.failStream(StreamUtils.createRowStream(options, _.noop, (done) => done()), err);
+  }
+
+  /**
+   * Creates the error of the calls that come in while the client is closing.
+   * @returns {Error}
+   */
+  function createShutdownError() {
+    return new DbErrors.ShuttingDown('The database client is shutting down.');
+  }
+
+  /**
+   * Fills the placeholders of a query with its parameters for logging.
+   * The sql is returned as it is when the parameters don't fit.
+   * @param sql - The sql string.
+   * @param params - The array of parameters or named parameters object.
+   * @returns {string}
+   */
+  function formatQuery(sql, params) {
+    try {
+      let query = SqlUtils.toPositionalQuery(sql, params);
+      return SqlUtils.queryToString(query.sql, query.params || []);
+    }
+    catch (ex) {
+      return sql;
+    }
+  }
+
+  /**
+   * Creates a migrator for the client with the db config options as defaults.
+   * @param options - The migration options.
+   * @returns {Object}
+   */
+  function createMigrator(options) {
+    return Migrations.createMigrator(client, {
+      directory: options.directory || (dbOptions && dbOptions.migrationsDirectory),
+      tableName: options.tableName || (dbOptions && dbOptions.migrationsTableName)
+    });
+  }
+
+  /**
+   * Runs the count and page queries of an offset paginated query.
+   * @param queries - The queries built by Pagination.buildOffsetQueries.
+   * @param callback - The finished callback function. callback(err, { rows, total, page, pageCount });
+   */
+  function paginateOffset(queries, callback) {
+    client.runQuery(queries.countQuery.sql, queries.countQuery.params, (err, countResults) => {
+      if (err) {
+        return callback(err);
+      }
+
+      client.runQuery(queries.pageQuery.sql, queries.pageQuery.params, (err, pageResults) => {
+        if (err) {
+          return callback(err);
+        }
+
+        let countRow = _.first(SqlUtils.getRows(countResults));
+        let total = (countRow) ? Number(countRow.total) : 0;
+
+        return callback(null, {
+          rows: SqlUtils.getRows(pageResults),
+          total: total,
+          page: queries.page,
+          pageCount: Math.ceil(total / queries.pageSize)
+        });
+      });
+    });
+  }
+
+  /**
+   * Runs the page query of a keyset paginated query and builds the cursor of the next page.
+   * @param queries - The queries built by Pagination.buildKeysetQuery.
+   * @param callback - The finished callback function. callback(err, { rows, nextCursor, hasMore });
+   */
+  function paginateKeyset(queries, callback) {
+    client.runQuery(queries.pageQuery.sql, queries.pageQuery.params, (err, pageResults) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // the page query selects one extra row to find out if there is a next page.
+      let rows = SqlUtils.getRows(pageResults);
+      let hasMore = rows.length > queries.pageSize;
+      let nextCursor = null;
+
+      if (hasMore) {
+        rows = rows.slice(0, queries.pageSize);
+
+        try {
+          nextCursor = Pagination.encodeCursor(_.last(rows), queries.columns);
+        }
+        catch (ex) {
+          return callback(ex);
+        }
+      }
+
+      return callback(null, {
+        rows: rows,
+        nextCursor: nextCursor,
+        hasMore: hasMore
+      });
+    });
+  }
+
+  /**
+   * Sets the newRowId field on the results of a statement.
+   * @param err - The error of the statement if there is one.
+   * @param results - The results of the statement.
+   * @param idField - The ID field name.
+   * @param callback - The finished callback function. callback(err, results);
+   */
+  function setNewRowId(err, results, idField, callback) {
+    if (err) {
+      return callback(err);
+    }
+
+    // these adapters set the insertId of the results.
+    let insertIdAdapters = [constants.MYSQL_ADAPTER, constants.SQLITE_ADAPTER, constants.POSTGRES_ADAPTER, constants.MOCK_ADAPTER];
+
+    if (_.includes(insertIdAdapters, currentAdapterName)) {
+      results.newRowId = results.insertId;
+    }
+    else if (_.isEqual(currentAdapterName, constants.MSSQL_ADAPTER)) {
+      if (results && results.length > 0) {
+        let newRowId = results[0][idField];
+        results = {
+          resultSet: results,
+          newRowId: newRowId
+        };
+      }
+    }
+
+    return callback(null, results);
+  }
+
+  return client;
+};
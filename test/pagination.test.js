@@ -0,0 +1,142 @@
+'use strict';
+
+// module dependencies.
+const assert = require('assert');
+const Pagination = require('../utilities/pagination');
+const SqlDialects = require('../utilities/sql-dialects');
+const DatabaseClient = require('../database-client');
+const constants = require('../constants/constants');
+
+// the dialect the queries are built for.
+const SQLITE_DIALECT = SqlDialects.getDialect({ adapterName: constants.SQLITE_ADAPTER });
+
+describe('pagination', () => {
+  //======================================================================================
+  // Cursors.
+  //======================================================================================
+
+  describe('cursors', () => {
+    it('decode to the keyset values of the row', () => {
+      let columns = [{ column: 'name' }, { column: 'id' }];
+      let cursor = Pagination.encodeCursor({ id: 5, name: 'bob', email: 'bob@a.com' }, columns);
+
+      assert.strictEqual(typeof cursor, 'string');
+      assert.deepStrictEqual(Pagination.decodeCursor(cursor), ['bob', 5]);
+    });
+
+    it('keep the dates as dates', () => {
+      let created = new Date('2024-01-31T12:00:00.000Z');
+      let columns = [{ column: 'created' }, { column: 'id' }];
+      let values = Pagination.decodeCursor(Pagination.encodeCursor({ created: created, id: null }, columns));
+
+      assert.ok(values[0] instanceof Date);
+      assert.strictEqual(values[0].getTime(), created.getTime());
+      assert.strictEqual(values[1], null);
+    });
+
+    it('keep the objects with a date key as objects', () => {
+      let columns = [{ column: 'data' }];
+      let values = Pagination.decodeCursor(Pagination.encodeCursor({ data: { date: '2024-01-31' } }, columns));
+
+      assert.deepStrictEqual(values, [{ date: '2024-01-31' }]);
+    });
+
+    it('reject a keyset column that is not in the row', () => {
+      assert.throws(() => Pagination.encodeCursor({ id: 5 }, [{ column: 'name' }]), /Keyset column is missing from the rows: name/);
+    });
+
+    it('reject a token that is not an encoded array', () => {
+      assert.throws(() => Pagination.decodeCursor('not a cursor'), /Invalid pagination cursor/);
+      assert.throws(() => Pagination.decodeCursor(Buffer.from('{"a":1}').toString('base64')), /Invalid pagination cursor/);
+    });
+  });
+
+  //======================================================================================
+  // Queries.
+  //======================================================================================
+
+  describe('buildKeysetQuery', () => {
+    it('selects the rows after the cursor row', () => {
+      let cursor = Pagination.encodeCursor({ name: 'bob', id: 5 }, [{ column: 'name' }, { column: 'id' }]);
+      let query = Pagination.buildKeysetQuery(SQLITE_DIALECT, 'SELECT * FROM users WHERE status = ? ORDER BY name', ['A'], {
+        keyset: ['name', { column: 'id', direction: 'DESC' }],
+        cursor: cursor,
+        pageSize: 10
+      });
+
+      assert.strictEqual(query.pageQuery.sql, 'SELECT * FROM (SELECT * FROM users WHERE status = ?) paginate_page ' +
+        'WHERE ("name" > ?) OR ("name" = ? AND "id" < ?) ORDER BY "name" ASC, "id" DESC LIMIT 11');
+      assert.deepStrictEqual(query.pageQuery.params, ['A', 'bob', 'bob', 5]);
+    });
+
+    it('adds the cursor values to named parameters', () => {
+      let cursor = Pagination.encodeCursor({ id: 5 }, [{ column: 'id' }]);
+      let query = Pagination.buildKeysetQuery(SQLITE_DIALECT, 'SELECT * FROM users WHERE status = :status', { status: 'A' }, {
+        keyset: ['id'],
+        cursor: cursor
+      });
+
+      assert.strictEqual(query.pageQuery.sql, 'SELECT * FROM (SELECT * FROM users WHERE status = :status) paginate_page ' +
+        'WHERE ("id" > :paginate_cursor_0) ORDER BY "id" ASC LIMIT 26');
+      assert.deepStrictEqual(query.pageQuery.params, { status: 'A', paginate_cursor_0: 5 });
+    });
+  });
+
+  describe('buildOffsetQueries', () => {
+    it('counts the query without its ORDER BY clause', () => {
+      let queries = Pagination.buildOffsetQueries(SQLITE_DIALECT, 'SELECT * FROM users ORDER BY name', [], { page: 3, pageSize: 10 });
+
+      assert.strictEqual(queries.countQuery.sql, 'SELECT COUNT(*) AS total FROM (SELECT * FROM users) paginate_count');
+      assert.strictEqual(queries.pageQuery.sql, 'SELECT * FROM users ORDER BY name LIMIT 10 OFFSET 20');
+    });
+  });
+
+  //======================================================================================
+  // Paginate.
+  //======================================================================================
+
+  describe('paginate', () => {
+    let client = null;
+
+    beforeEach(async () => {
+      client = DatabaseClient.createClient({ adapterName: constants.SQLITE_ADAPTER, filename: ':memory:' });
+      await client.configure();
+      await client.runStatement('CREATE TABLE items (id INTEGER PRIMARY KEY, grp TEXT)', []);
+
+      for (let i = 1; i <= 7; i++) {
+        await client.runStatement('INSERT INTO items (id, grp) VALUES (?, ?)', [i, (i % 2) ? 'odd' : 'even']);
+      }
+    });
+
+    afterEach(async () => {
+      await client.close();
+    });
+
+    it('walks through all the rows with the keyset cursors', async () => {
+      let ids = [];
+      let cursor = null;
+      let page = null;
+
+      do {
+        page = await client.paginate('SELECT id FROM items WHERE grp = :grp', { grp: 'odd' }, {
+          keyset: [{ column: 'id', direction: 'DESC' }],
+          cursor: cursor,
+          pageSize: 3
+        });
+
+        ids = ids.concat(page.rows.map((row) => row.id));
+        cursor = page.nextCursor;
+      } while (page.hasMore);
+
+      assert.deepStrictEqual(ids, [7, 5, 3, 1]);
+    });
+
+    it('counts the rows and pages in offset mode', async () => {
+      let page = await client.paginate('SELECT id FROM items ORDER BY id', [], { page: 2, pageSize: 5 });
+
+      assert.deepStrictEqual(page.rows.map((row) => row.id), [6, 7]);
+      assert.strictEqual(page.total, 7);
+      assert.strictEqual(page.pageCount, 2);
+    });
+  });
+});
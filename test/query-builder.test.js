@@ -0,0 +1,37 @@
+'use strict';
+
+// module dependencies.
+const assert = require('assert');
+const QueryBuilder = require('../utilities/query-builder');
+const SqlDialects = require('../utilities/sql-dialects');
+const constants = require('../constants/constants');
+
+// the dialect the queries are built for.
+const SQLITE_DIALECT = SqlDialects.getDialect({ adapterName: constants.SQLITE_ADAPTER });
+
+/**
+ * Creates a query builder for the sqlite dialect.
+ * @returns {Object}
+ */
+function createBuilder() {
+  return QueryBuilder.createQueryBuilder(() => SQLITE_DIALECT);
+}
+
+describe('query builder', () => {
+  it('builds the where conditions of the object', () => {
+    let query = createBuilder().select(['id']).from('users').where({ status: 'A', deleted: null, role: ['a', 'b'] }).build();
+
+    assert.strictEqual(query.sql, 'SELECT "id" FROM "users" WHERE "status" = ? AND "deleted" IS NULL AND "role" IN (?, ?)');
+    assert.deepStrictEqual(query.params, ['A', 'a', 'b']);
+  });
+
+  it('rejects an undefined where value', () => {
+    assert.throws(() => createBuilder().deleteFrom('users').where({ id: undefined }), /The where value of id is undefined/);
+  });
+
+  it('rejects an insert or update without values', () => {
+    assert.throws(() => createBuilder().insertInto('users').values({}).build(), /INSERT queries need at least one value/);
+    assert.throws(() => createBuilder().update('users').set({ name: undefined }).where({ id: 5 }).build(),
+      /UPDATE queries need at least one value/);
+  });
+});
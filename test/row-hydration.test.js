@@ -0,0 +1,101 @@
+'use strict';
+
+// module dependencies.
+const assert = require('assert');
+const RowHydration = require('../utilities/row-hydration');
+
+// the rows of users LEFT JOIN logins LEFT JOIN addresses.
+const ROWS = [
+  { id: 1, name: 'bob', login_id: 7, login_date: '2024-01-01', address_id: 3, address_city: 'Austin' },
+  { id: 1, name: 'bob', login_id: 8, login_date: '2024-01-02', address_id: 3, address_city: 'Austin' },
+  { id: 2, name: 'sue', login_id: null, login_date: null, address_id: null, address_city: null },
+  { id: 1, name: 'bob', login_id: 7, login_date: '2024-01-01', address_id: 3, address_city: 'Austin' }
+];
+
+// the mapping spec of the rows.
+const SPEC = {
+  key: 'id',
+  relations: {
+    logins: { prefix: 'login_', key: 'id' },
+    address: { prefix: 'address_', key: 'id', type: 'one' }
+  }
+};
+
+describe('hydrateRows', () => {
+  it('nests the relations under their root objects', () => {
+    assert.deepStrictEqual(RowHydration.hydrateRows(ROWS, SPEC), [
+      {
+        id: 1,
+        name: 'bob',
+        logins: [{ id: 7, date: '2024-01-01' }, { id: 8, date: '2024-01-02' }],
+        address: { id: 3, city: 'Austin' }
+      },
+      {
+        id: 2,
+        name: 'sue',
+        logins: [],
+        address: null
+      }
+    ]);
+  });
+
+  it('nests the relations of relations', () => {
+    let rows = [
+      { id: 1, order_id: 10, order_line_no: 1, order_line_sku: 'a' },
+      { id: 1, order_id: 10, order_line_no: 2, order_line_sku: 'b' },
+      { id: 1, order_id: 11, order_line_no: 1, order_line_sku: 'c' }
+    ];
+
+    let spec = {
+      key: 'id',
+      relations: {
+        orders: {
+          prefix: 'order_',
+          key: 'id',
+          relations: {
+            lines: { prefix: 'order_line_', key: 'no' }
+          }
+        }
+      }
+    };
+
+    assert.deepStrictEqual(RowHydration.hydrateRows(rows, spec), [{
+      id: 1,
+      orders: [
+        { id: 10, lines: [{ no: 1, sku: 'a' }, { no: 2, sku: 'b' }] },
+        { id: 11, lines: [{ no: 1, sku: 'c' }] }
+      ]
+    }]);
+  });
+
+  it('matches composite and date keys', () => {
+    let created = new Date('2024-01-01T00:00:00Z');
+    let rows = [
+      { order_id: 1, line: 1, created: created, note_id: 1 },
+      { order_id: 1, line: 1, created: new Date(created.getTime()), note_id: 2 },
+      { order_id: 1, line: 2, created: created, note_id: 3 }
+    ];
+
+    let hydrated = RowHydration.hydrateRows(rows, {
+      key: ['order_id', 'line', 'created'],
+      relations: {
+        notes: { prefix: 'note_', key: 'id' }
+      }
+    });
+
+    assert.strictEqual(hydrated.length, 2);
+    assert.deepStrictEqual(hydrated[0].notes, [{ id: 1 }, { id: 2 }]);
+    assert.deepStrictEqual(hydrated[1].notes, [{ id: 3 }]);
+  });
+
+  it('returns no objects for no rows', () => {
+    assert.deepStrictEqual(RowHydration.hydrateRows([], SPEC), []);
+  });
+
+  it('rejects a spec without key or prefix and a missing key column', () => {
+    assert.throws(() => RowHydration.hydrateRows(ROWS, {}), /The root mapping needs a key/);
+    assert.throws(() => RowHydration.hydrateRows(ROWS, { key: 'id', relations: { logins: { key: 'id' } } }),
+      /The logins relation needs a column prefix/);
+    assert.throws(() => RowHydration.hydrateRows(ROWS, { key: 'user_id' }), /The key column user_id of the root mapping is not in the rows/);
+  });
+});
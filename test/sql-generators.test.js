@@ -0,0 +1,34 @@
+'use strict';
+
+// module dependencies.
+const assert = require('assert');
+const DatabaseClient = require('../database-client');
+const constants = require('../constants/constants');
+
+describe('sql generation functions', () => {
+  let client = null;
+
+  beforeEach(() => {
+    client = DatabaseClient.createClient();
+  });
+
+  it('use the names as they are before configure', () => {
+    assert.strictEqual(client.createSelectFields('users', [{ field: 'id', rename: 'userId' }]), 'users.id AS userId');
+    assert.deepStrictEqual(client.generateInsertObject('users', { name: 'bob' }), { sql: 'INSERT INTO users (name) VALUES (?)', params: ['bob'] });
+    assert.deepStrictEqual(client.generateUpdateObject('users', { name: 'bob' }, 'id = ?', [5]),
+      { sql: 'UPDATE users SET name = ? WHERE id = ?', params: ['bob', 5] });
+  });
+
+  it('quote the names for the adapter after configure', async () => {
+    await client.configure({ adapterName: constants.SQLITE_ADAPTER, filename: ':memory:' });
+
+    assert.strictEqual(client.createSelectFields('users', [{ field: 'id' }]), '"users"."id"');
+    assert.strictEqual(client.generateInsertObject('users', { name: 'bob' }).sql, 'INSERT INTO "users" ("name") VALUES (?)');
+
+    await client.close();
+  });
+
+  it('only build an upsert after configure', () => {
+    assert.throws(() => client.generateUpsertObject('users', { id: 5, name: 'bob' }, ['id']), /Module not configured/);
+  });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+// module dependencies.
+const assert = require('assert');
+const SqlUtils = require('../utilities/sql-utilities');
+
+describe('sql utilities', () => {
+  //======================================================================================
+  // Named Parameters.
+  //======================================================================================
+
+  describe('convertNamedParams', () => {
+    it('replaces the :name placeholders with question marks', () => {
+      let query = SqlUtils.convertNamedParams('SELECT * FROM users WHERE id = :id AND status = :status', { id: 5, status: 'A' });
+
+      assert.strictEqual(query.sql, 'SELECT * FROM users WHERE id = ? AND status = ?');
+      assert.deepStrictEqual(query.params, [5, 'A']);
+      assert.deepStrictEqual(query.names, ['id', 'status']);
+    });
+
+    it('adds a value for every use of a repeated name', () => {
+      let query = SqlUtils.convertNamedParams('SELECT * FROM t WHERE a = :v OR b = :v OR c = :w', { v: 1, w: 2 });
+
+      assert.strictEqual(query.sql, 'SELECT * FROM t WHERE a = ? OR b = ? OR c = ?');
+      assert.deepStrictEqual(query.params, [1, 1, 2]);
+      assert.deepStrictEqual(query.names, ['v', 'w']);
+    });
+
+    it('passes the name index to the formatter', () => {
+      let query = SqlUtils.convertNamedParams('SELECT :a, :b, :a', { a: 1, b: 2 }, (name, index) => '$' + (index + 1));
+
+      assert.strictEqual(query.sql, 'SELECT $1, $2, $1');
+      assert.deepStrictEqual(query.params, [1, 2, 1]);
+    });
+
+    it('leaves the names inside of quotes and comments alone', () => {
+      let sql = "SELECT ':a', \":b\", `:c`, 'it''s :d' -- :e\n/* :f */ FROM t WHERE x = :x";
+      let query = SqlUtils.convertNamedParams(sql, { x: 1 });
+
+      assert.strictEqual(query.sql, "SELECT ':a', \":b\", `:c`, 'it''s :d' -- :e\n/* :f */ FROM t WHERE x = ?");
+      assert.deepStrictEqual(query.params, [1]);
+    });
+
+    it('leaves the postgres :: casts alone', () => {
+      let query = SqlUtils.convertNamedParams('SELECT :value::int, created::date FROM t', { value: '5' });
+
+      assert.strictEqual(query.sql, 'SELECT ?::int, created::date FROM t');
+      assert.deepStrictEqual(query.params, ['5']);
+    });
+
+    it('reports the missing and unused names', () => {
+      assert.throws(() => SqlUtils.convertNamedParams('SELECT :a, :b', { a: 1 }), /Missing named parameter\(s\): b/);
+      assert.throws(() => SqlUtils.convertNamedParams('SELECT :a', { a: 1, c: 2 }), /Unused named parameter\(s\): c/);
+    });
+  });
+
+  describe('replacePlaceholders', () => {
+    it('skips the question marks inside of quotes and comments', () => {
+      let sql = SqlUtils.replacePlaceholders("SELECT '?', \"?\" -- ?\nFROM t WHERE a = ? /* ? */ AND b = ?", (index) => '@p' + index);
+
+      assert.strictEqual(sql, "SELECT '?', \"?\" -- ?\nFROM t WHERE a = @p0 /* ? */ AND b = @p1");
+    });
+  });
+
+  describe('hasNumberedPlaceholders', () => {
+    it('finds the $n placeholders outside of quotes, comments and names', () => {
+      assert.strictEqual(SqlUtils.hasNumberedPlaceholders('SELECT * FROM docs WHERE data ? $1'), true);
+      assert.strictEqual(SqlUtils.hasNumberedPlaceholders("SELECT '$1', \"$2\", a$3 -- $4\nFROM t WHERE a = ?"), false);
+    });
+  });
+
+  describe('isNamedParams', () => {
+    it('only takes a params object as named parameters when the sql has :name placeholders', () => {
+      assert.strictEqual(SqlUtils.isNamedParams({ id: 5 }, 'SELECT * FROM users WHERE id = :id'), true);
+      assert.strictEqual(SqlUtils.isNamedParams({}, 'SELECT 1'), false);
+      assert.strictEqual(SqlUtils.isNamedParams({}, 'SELECT * FROM users WHERE id = :id'), true);
+      assert.strictEqual(SqlUtils.isNamedParams({ name: 'bob' }, 'INSERT INTO users SET ?'), false);
+      assert.strictEqual(SqlUtils.isNamedParams({ name: 'bob' }, "SELECT ':name'"), false);
+      assert.strictEqual(SqlUtils.isNamedParams([5], 'SELECT * FROM users WHERE id = ?'), false);
+    });
+  });
+
+  describe('toPositionalQuery', () => {
+    it('returns the queries with a params array as they are', () => {
+      let params = [5];
+
+      assert.deepStrictEqual(SqlUtils.toPositionalQuery('SELECT ?', params), { sql: 'SELECT ?', params: params });
+      assert.deepStrictEqual(SqlUtils.toPositionalQuery('SELECT :id', { id: 5 }), { sql: 'SELECT ?', params: [5] });
+    });
+
+    it('binds no values for an empty params object', () => {
+      assert.deepStrictEqual(SqlUtils.toPositionalQuery('SELECT 1', {}), { sql: 'SELECT 1', params: [] });
+      assert.throws(() => SqlUtils.toPositionalQuery('SELECT :id', {}), /Missing named parameter\(s\): id/);
+    });
+  });
+
+  //======================================================================================
+  // Scripts.
+  //======================================================================================
+
+  describe('splitStatements', () => {
+    it('splits on the semicolons outside of quotes and comments', () => {
+      let statements = SqlUtils.splitStatements("INSERT INTO t VALUES ('a;b');\n-- one; two\nUPDATE t SET a = 1; /* ; */\n");
+
+      assert.deepStrictEqual(statements, ["INSERT INTO t VALUES ('a;b')", '-- one; two\nUPDATE t SET a = 1']);
+    });
+
+    it('follows the DELIMITER command', () => {
+      let sql = 'DELIMITER $$\nCREATE PROCEDURE p() BEGIN SELECT 1; SELECT 2; END$$\nDELIMITER ;\nSELECT 3;';
+
+      assert.deepStrictEqual(SqlUtils.splitStatements(sql), ['CREATE PROCEDURE p() BEGIN SELECT 1; SELECT 2; END', 'SELECT 3']);
+    });
+
+    it('drops the statements without sql', () => {
+      assert.deepStrictEqual(SqlUtils.splitStatements(';;\n-- only a comment\n;'), []);
+    });
+  });
+
+  describe('splitBatches', () => {
+    it('splits on the GO lines', () => {
+      let sql = "CREATE TABLE t (a INT)\nGO\nINSERT INTO t VALUES (1)\n  go -- done\nSELECT 'GO'\nGO";
+
+      assert.deepStrictEqual(SqlUtils.splitBatches(sql), ['CREATE TABLE t (a INT)', 'INSERT INTO t VALUES (1)', "SELECT 'GO'"]);
+    });
+
+    it('leaves GO inside of words, strings and comments alone', () => {
+      let sql = "SELECT * FROM GOODS\n/*\nGO\n*/\nSELECT 'x\nGO\n'";
+
+      assert.deepStrictEqual(SqlUtils.splitBatches(sql), [sql]);
+    });
+  });
+});
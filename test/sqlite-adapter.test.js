@@ -0,0 +1,143 @@
+'use strict';
+
+// module dependencies.
+const assert = require('assert');
+const DatabaseClient = require('../database-client');
+const constants = require('../constants/constants');
+const DbErrors = require('../utilities/db-errors');
+
+describe('sqlite adapter', () => {
+  let client = null;
+
+  beforeEach(async () => {
+    client = DatabaseClient.createClient({ adapterName: constants.SQLITE_ADAPTER, filename: ':memory:' });
+    await client.configure();
+    await client.runStatement('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)', []);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  //======================================================================================
+  // Transactions.
+  //======================================================================================
+
+  describe('runTransaction', () => {
+    it('runs the client calls of the execute function in the transaction', async () => {
+      await assert.rejects(client.runTransaction(async () => {
+        await client.runStatement('INSERT INTO items (name) VALUES (?)', ['a']);
+
+        let rows = await client.runQuery('SELECT name FROM items', []);
+        assert.deepStrictEqual(rows, [{ name: 'a' }]);
+
+        throw new Error('roll back');
+      }), /roll back/);
+
+      assert.deepStrictEqual(await client.runQuery('SELECT name FROM items', []), []);
+    });
+
+    it('runs a runTransaction of the execute function in a savepoint', async () => {
+      await client.runTransaction(async (connection) => {
+        await client.runStatementInTransaction(connection, 'INSERT INTO items (name) VALUES (?)', ['outer']);
+
+        await assert.rejects(client.runTransaction(async () => {
+          await client.runStatement('INSERT INTO items (name) VALUES (?)', ['inner']);
+          throw new Error('inner');
+        }), /inner/);
+      });
+
+      assert.deepStrictEqual(await client.runQuery('SELECT name FROM items', []), [{ name: 'outer' }]);
+    });
+
+    it('reads the rows of the transaction with runStatementInTransaction', async () => {
+      let results = await client.runTransaction(async (connection) => {
+        let insert = await client.runStatementInTransaction(connection, 'INSERT INTO items (name) VALUES (:name)', { name: 'a' });
+        let rows = await client.runStatementInTransaction(connection, '-- the new row\nSELECT id, name FROM items WHERE id = ?', [insert.insertId]);
+        let returned = await client.runStatementInTransaction(connection, 'UPDATE items SET name = ? RETURNING name', ['b']);
+
+        return [insert, rows, returned];
+      });
+
+      assert.deepStrictEqual(results, [
+        { insertId: 1, affectedRows: 1 },
+        [{ id: 1, name: 'a' }],
+        [{ name: 'b' }]
+      ]);
+    });
+
+    it('keeps the calls of other callers out of the transaction', async () => {
+      let release = null;
+      let waiting = new Promise((resolve) => {
+        release = resolve;
+      });
+
+      let transaction = client.runTransaction(async (connection) => {
+        await client.runStatementInTransaction(connection, 'INSERT INTO items (name) VALUES (?)', ['a']);
+        await waiting;
+        throw new Error('roll back');
+      });
+
+      // started outside of the execute function, so it waits until the transaction is rolled back.
+      let query = client.runQuery('SELECT name FROM items', []);
+
+      release();
+
+      await assert.rejects(transaction, /roll back/);
+      assert.deepStrictEqual(await query, []);
+    });
+  });
+
+  //======================================================================================
+  // Streams.
+  //======================================================================================
+
+  describe('streamQuery', () => {
+    it('converts the rows like runQuery', async () => {
+      let converting = DatabaseClient.createClient({
+        adapterName: constants.SQLITE_ADAPTER,
+        filename: ':memory:',
+        typeConversion: { columns: { name: (value) => value.toUpperCase() } }
+      });
+
+      await converting.configure();
+      await converting.runStatement('CREATE TABLE items (name TEXT)', []);
+      await converting.runStatement("INSERT INTO items VALUES ('a'), ('b')", []);
+
+      let names = [];
+
+      for await (let row of converting.streamQuery('SELECT name FROM items ORDER BY name', [])) {
+        names.push(row.name);
+      }
+
+      await converting.close();
+      assert.deepStrictEqual(names, ['A', 'B']);
+    });
+
+    it('wraps the driver errors in the DbError types', async () => {
+      let stream = client.streamQuery('SELECT * FROM missing', []);
+      let error = await new Promise((resolve) => {
+        stream.on('error', resolve);
+      });
+
+      assert.ok(error instanceof DbErrors.SyntaxError);
+      assert.strictEqual(error.sql, 'SELECT * FROM missing');
+    });
+  });
+
+  //======================================================================================
+  // Schema.
+  //======================================================================================
+
+  describe('describeTable', () => {
+    it('keeps the dots inside of quoted names', async () => {
+      await client.runStatement('CREATE TABLE "a.b" (id INTEGER PRIMARY KEY)', []);
+
+      let table = await client.describeTable('main."a.b"');
+
+      assert.strictEqual(table.schema, 'main');
+      assert.strictEqual(table.name, 'a.b');
+      assert.deepStrictEqual(table.primaryKey, ['id']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Runs a callback style function and either forwards the results to the given callback or,
+ * when no callback function was passed, returns a promise.
+ * If the callback style function returns more than one result value, the promise resolves
+ * with an array of the result values.
+ * @param callback - The finished callback function. (optional)
+ * @param executeFunction - The function to run. Takes in a node style callback. function (done) {}
+ * @returns {Promise|undefined} - A promise if no callback function was passed.
+ */
+exports.callbackOrPromise = (callback, executeFunction) => {
+  // if a callback function was passed, just use it.
+  if (typeof callback === 'function') {
+    executeFunction(callback);
+    return undefined;
+  }
+
+  return new Promise((resolve, reject) => {
+    executeFunction((err, ...results) => {
+      if (err) {
+        return reject(err);
+      }
+
+      return resolve((results.length > 1) ? results : results[0]);
+    });
+  });
+};
+
+/**
+ * Fires a transaction execute function. The execute function can either call the done callback
+ * or return a promise (async function). The finished callback is only ever fired once.
+ * @param executeFunction - The function to run. function (connection, done) {}
+ * @param connection - The transaction connection to pass to the execute function.
+ * @param callback - The finished callback function. callback(err, result);
+ */
+exports.invokeExecuteFunction = (executeFunction, connection, callback) => {
+  let finished = false;
+
+  // makes sure the finished callback only fires once.
+  let done = (err, result) => {
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    return callback(err, result);
+  };
+
+  let returnValue = null;
+
+  try {
+    returnValue = executeFunction(connection, done);
+  }
+  catch (ex) {
+    return done(ex);
+  }
+
+  // check if the execute function returned a promise.
+  if (returnValue && typeof returnValue.then === 'function') {
+    returnValue.then((result) => {
+      return done(null, result);
+    }, (err) => {
+      return done(err || new Error('Transaction execute function was rejected.'));
+    });
+  }
+};
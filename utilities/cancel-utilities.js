@@ -0,0 +1,105 @@
+'use strict';
+
+// module dependencies.
+const DbErrors = require('./db-errors');
+
+/**
+ * Runs a query that is stopped once the timeoutMs of the call options pass or the signal of the call options aborts.
+ * The run function gets a cancellation object and registers the function that stops its running query with
+ * cancellation.onCancel(cancelQuery). The query callback is still waited on, so the adapter can release or
+ * destroy its connection, and its error is replaced with a QueryTimeout or QueryCancelled error.
+ * A query that finishes before it is stopped keeps its results.
+ * @param options - The call options. { timeoutMs: Number, signal: AbortSignal }
+ * @param sql - The sql string of the query, added to the errors.
+ * @param run - Runs the query. function (cancellation, done) {}
+ * @param callback - The finished callback function.
+ */
+exports.runCancellable = (options, sql, run, callback) => {
+  let timeoutMs = (options) ? options.timeoutMs : null;
+  let signal = (options) ? options.signal : null;
+
+  if (signal && signal.aborted) {
+    return callback(new DbErrors.QueryCancelled('The query was cancelled.', { sql: sql }));
+  }
+
+  let cancelError = null;
+  let cancelQuery = null;
+  let timer = null;
+
+  // stops the running query, if it started.
+  let runCancel = () => {
+    if (!cancelQuery) {
+      return;
+    }
+
+    let cancel = cancelQuery;
+    cancelQuery = null;
+
+    try {
+      cancel();
+    }
+    catch (ex) {
+      console.log(ex);
+    }
+  };
+
+  // saves the timeout or cancel error and stops the query.
+  let stop = (err) => {
+    if (cancelError) {
+      return;
+    }
+
+    cancelError = err;
+    runCancel();
+  };
+
+  let cancellation = {
+    /**
+     * Sets the function that stops the running query. It is called right away when the query was already stopped.
+     * @param cancel - The cancel function. function () {}
+     */
+    onCancel: (cancel) => {
+      cancelQuery = cancel;
+
+      if (cancelError) {
+        runCancel();
+      }
+    },
+
+    /**
+     * Checks if the query was stopped, so an adapter can skip the query after waiting on a connection.
+     * @returns {boolean}
+     */
+    isCancelled: () => {
+      return !!cancelError;
+    }
+  };
+
+  let onAbort = () => {
+    stop(new DbErrors.QueryCancelled('The query was cancelled.', { sql: sql }));
+  };
+
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => {
+      stop(new DbErrors.QueryTimeout('The query timed out after ' + timeoutMs + ' ms.', { sql: sql }));
+    }, timeoutMs);
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  run(cancellation, (err, ...results) => {
+    clearTimeout(timer);
+
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+
+    if (err && cancelError) {
+      return callback(cancelError);
+    }
+
+    return callback(err, ...results);
+  });
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+
+// the driver error properties copied to the wrapped errors, so checks on them keep working.
+const DRIVER_ERROR_FIELDS = ['code', 'errno', 'number', 'sqlState', 'state', 'severity'];
+
+/**
+ * The base class of the normalized database errors.
+ * The message is the message of the driver error, which is kept as the cause.
+ */
+class DbError extends Error {
+  /**
+   * @param message - The error message.
+   * @param [details] - The error details. { cause, sql, constraint, column, table }
+   */
+  constructor(message, details) {
+    super(message);
+
+    details = details || {};
+
+    this.name = 'DbError';
+    this.cause = details.cause || null;
+    this.sql = details.sql || null;
+    this.constraint = details.constraint || null;
+    this.column = details.column || null;
+    this.table = details.table || null;
+
+    _.assign(this, _.pick(this.cause, DRIVER_ERROR_FIELDS));
+  }
+}
+
+/**
+ * A unique key, unique index or primary key violation.
+ */
+class UniqueViolation extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UniqueViolation';
+  }
+}
+
+/**
+ * A missing referenced row or a referenced row that can't be deleted.
+ */
+class ForeignKeyViolation extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ForeignKeyViolation';
+  }
+}
+
+/**
+ * A null value in a not null column.
+ */
+class NotNullViolation extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotNullViolation';
+  }
+}
+
+/**
+ * The transaction was chosen as a deadlock victim and rolled back.
+ */
+class Deadlock extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'Deadlock';
+  }
+}
+
+/**
+ * A lock wait or statement timeout.
+ */
+class Timeout extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'Timeout';
+  }
+}
+
+/**
+ * The query ran longer than the timeoutMs of its call options and was stopped.
+ */
+class QueryTimeout extends Timeout {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QueryTimeout';
+  }
+}
+
+/**
+ * The query was stopped by the abort signal of its call options.
+ */
+class QueryCancelled extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QueryCancelled';
+  }
+}
+
+/**
+ * The client is closing and doesn't take new work, or the transaction was still open when the drain timeout ran out.
+ */
+class ShuttingDown extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ShuttingDown';
+  }
+}
+
+/**
+ * The database can't be reached, the login failed or the connection was lost.
+ */
+class ConnectionError extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConnectionError';
+  }
+}
+
+/**
+ * Invalid sql or an unknown table or column.
+ */
+class SqlSyntaxError extends DbError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'SyntaxError';
+  }
+}
+
+exports.DbError = DbError;
+exports.UniqueViolation = UniqueViolation;
+exports.ForeignKeyViolation = ForeignKeyViolation;
+exports.NotNullViolation = NotNullViolation;
+exports.Deadlock = Deadlock;
+exports.Timeout = Timeout;
+exports.QueryTimeout = QueryTimeout;
+exports.QueryCancelled = QueryCancelled;
+exports.ShuttingDown = ShuttingDown;
+exports.ConnectionError = ConnectionError;
+exports.SyntaxError = SqlSyntaxError;
+
+/**
+ * Wraps a driver error in the DbError type found by the classifier of an adapter.
+ * DbErrors and errors that don't come from the driver are returned as they are.
+ * @param err - The error.
+ * @param sql - The failing sql string with its placeholders, so no parameter values end up in the error.
+ * @param classify - The classifier of the adapter. Returns null for errors that don't come from the driver
+ * or { type: 'UniqueViolation', constraint, column, table }. The type defaults to DbError.
+ * @returns {Error}
+ */
+exports.wrapError = (err, sql, classify) => {
+  if (!err || err instanceof DbError) {
+    return err;
+  }
+
+  let classification = classify(err);
+
+  if (!classification) {
+    return err;
+  }
+
+  let ErrorClass = exports[classification.type] || DbError;
+
+  return new ErrorClass(err.message, _.assign({
+    cause: err,
+    sql: sql
+  }, _.omit(classification, 'type')));
+};
+
+/**
+ * Gets the first capture group of a regular expression in an error message.
+ * Ex: matchMessage(err, /constraint '(.+?)'/)
+ * @param err - The error.
+ * @param pattern - The regular expression.
+ * @returns {string|null}
+ */
+exports.matchMessage = (err, pattern) => {
+  let match = pattern.exec(err.message || '');
+
+  return (match) ? match[1] : null;
+};
@@ -0,0 +1,484 @@
+'use strict';
+
+// module dependencies.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const _ = require('lodash');
+const CallbackUtils = require('./callback-utilities');
+const SqlUtils = require('./sql-utilities');
+const StringUtils = require('./string-utilities');
+
+// the default name of the table that tracks the applied migrations.
+const DEFAULT_TABLE_NAME = 'schema_migrations';
+
+// the migration file names. Ex: 001_create_users.up.sql, 001_create_users.down.sql or 002_seed_users.js
+const SQL_FILE_PATTERN = /^(\d+)[_-]?(.*?)\.(up|down)\.sql$/i;
+const JS_FILE_PATTERN = /^(\d+)[_-]?(.*?)\.js$/i;
+
+// the migration directions.
+const UP = 'up';
+const DOWN = 'down';
+
+/**
+ * Creates a migrator that applies the migrations of a directory to the database of a client.
+ *
+ * Migrations are ordered by the version number at the start of the file name. A migration is either
+ * a pair of sql files (001_create_users.up.sql and 001_create_users.down.sql) or a js file
+ * (002_seed_users.js) that exports up and down functions. The js functions are called with the client
+ * and the transaction connection and either take a callback or return a promise.
+ * function (client, connection, callback) {} or async function (client, connection) {}
+ *
+ * Every migration runs in its own transaction together with the update of the tracking table, which
+ * stores the version, name and checksum of the applied migrations.
+ *
+ * @param client - The database client.
+ * @param options - The migration options. { directory: String, tableName: String }
+ * @returns {Object} - The migrator object.
+ */
+exports.createMigrator = (client, options) => {
+  // the migrator object.
+  const migrator = {};
+
+  let directory = options.directory;
+  let tableName = options.tableName || DEFAULT_TABLE_NAME;
+
+  /**
+   * Applies the pending migrations in version order.
+   * @param targetVersion - The last version to apply. Applies all pending migrations when not set.
+   * @param callback - The finished callback function. callback(err, appliedMigrations);
+   */
+  migrator.up = (targetVersion, callback) => {
+    loadMigrations((err, migrations) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let pending = _.filter(migrations, (migration) => {
+        return !migration.applied && (_.isNil(targetVersion) || compareVersions(migration.version, targetVersion) <= 0);
+      });
+
+      runMigrations(pending, UP, callback);
+    });
+  };
+
+  /**
+   * Reverts the applied migrations newer than the target version in reverse version order.
+   * @param targetVersion - The version to go back to. Use 0 to revert all migrations.
+   * @param callback - The finished callback function. callback(err, revertedMigrations);
+   */
+  migrator.down = (targetVersion, callback) => {
+    if (_.isNil(targetVersion)) {
+      return callback(new Error('Migrate down needs a target version.'));
+    }
+
+    loadMigrations((err, migrations) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let applied = _.filter(migrations, (migration) => {
+        return migration.applied && compareVersions(migration.version, targetVersion) > 0;
+      });
+
+      runMigrations(applied.reverse(), DOWN, callback);
+    });
+  };
+
+  /**
+   * Gets the status of every migration.
+   * @param callback - The finished callback function. callback(err, [{ version, name, applied, appliedAt, changed, missing }]);
+   */
+  migrator.status = (callback) => {
+    readState((err, files, appliedRows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let status = _.map(mergeMigrations(files, appliedRows), (migration) => {
+        return {
+          version: migration.version,
+          name: migration.name,
+          applied: migration.applied,
+          appliedAt: migration.appliedAt,
+          changed: migration.changed,
+          missing: migration.missing
+        };
+      });
+
+      return callback(null, status);
+    });
+  };
+
+  //======================================================================================
+  // Private Functions.
+  //======================================================================================
+
+  /**
+   * Loads the migrations and makes sure none of the applied migrations changed or went missing.
+   * @param callback - The finished callback function. callback(err, migrations);
+   */
+  function loadMigrations(callback) {
+    readState((err, files, appliedRows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let migrations = mergeMigrations(files, appliedRows);
+
+      let missing = _.find(migrations, 'missing');
+      if (missing) {
+        return callback(new Error('Applied migration ' + missing.version + ' ' + missing.name + ' is missing from the migrations directory.'));
+      }
+
+      let changed = _.find(migrations, 'changed');
+      if (changed) {
+        return callback(new Error('Applied migration ' + changed.version + ' ' + changed.name + ' has changed since it was applied.'));
+      }
+
+      return callback(null, migrations);
+    });
+  }
+
+  /**
+   * Reads the migration files and the applied migrations of the tracking table.
+   * @param callback - The finished callback function. callback(err, files, appliedRows);
+   */
+  function readState(callback) {
+    let files = null;
+
+    try {
+      files = readMigrationFiles(directory);
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    createTrackingTable((err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let dialect = client.getDialect();
+      let sql = 'SELECT version, name, checksum, applied_at FROM ' + dialect.quoteIdentifier(tableName);
+
+      client.runQuery(sql, [], (err, results) => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, files, SqlUtils.getRows(results));
+      });
+    });
+  }
+
+  /**
+   * Creates the tracking table if it doesn't exist yet.
+   * @param callback - The finished callback function.
+   */
+  function createTrackingTable(callback) {
+    let dialect = client.getDialect();
+    let table = dialect.quoteIdentifier(tableName);
+    let dateType = (dialect.name === 'mysql' || dialect.name === 'mssql') ? 'DATETIME' : 'TIMESTAMP';
+
+    let sql = 'CREATE TABLE ' + table + ' (' +
+      'version VARCHAR(50) NOT NULL PRIMARY KEY, ' +
+      'name VARCHAR(255) NOT NULL, ' +
+      'checksum VARCHAR(64) NOT NULL, ' +
+      'applied_at ' + dateType + ' NOT NULL)';
+
+    // mssql has no IF NOT EXISTS for tables.
+    if (dialect.name === 'mssql') {
+      sql = "IF OBJECT_ID(N'" + StringUtils.replaceAll(tableName, "'", "''") + "', N'U') IS NULL " + sql;
+    }
+    else {
+      sql = sql.replace(/^CREATE TABLE/, 'CREATE TABLE IF NOT EXISTS');
+    }
+
+    client.runStatement(sql, [], (err) => {
+      return callback(err);
+    });
+  }
+
+  /**
+   * Runs migrations one after another. Stops at the first failed migration.
+   * @param migrations - The migrations to run.
+   * @param direction - up or down.
+   * @param callback - The finished callback function. callback(err, migrations);
+   */
+  function runMigrations(migrations, direction, callback) {
+    let completed = [];
+
+    let runNext = (index) => {
+      if (index >= migrations.length) {
+        return callback(null, completed);
+      }
+
+      let migration = migrations[index];
+
+      runMigration(migration, direction, (err) => {
+        if (err) {
+          err.migration = migration.version + ' ' + migration.name;
+          return callback(err, completed);
+        }
+
+        completed.push({
+          version: migration.version,
+          name: migration.name
+        });
+
+        return runNext(index + 1);
+      });
+    };
+
+    runNext(0);
+  }
+
+  /**
+   * Runs a single migration and updates the tracking table in one transaction.
+   * @param migration - The migration.
+   * @param direction - up or down.
+   * @param callback - The finished callback function.
+   */
+  function runMigration(migration, direction, callback) {
+    let table = client.getDialect().quoteIdentifier(tableName);
+
+    client.runTransaction((connection, done) => {
+      runMigrationBody(migration, direction, connection, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        if (direction === UP) {
+          let sql = 'INSERT INTO ' + table + ' (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)';
+          return client.runStatementInTransaction(connection, sql, [migration.version, migration.name, migration.checksum, new Date()], done);
+        }
+
+        client.runStatementInTransaction(connection, 'DELETE FROM ' + table + ' WHERE version = ?', [migration.version], done);
+      });
+    }, (err) => {
+      return callback(err);
+    });
+  }
+
+  /**
+   * Runs the sql batches or the js function of a migration.
+   * @param migration - The migration.
+   * @param direction - up or down.
+   * @param connection - The transaction connection.
+   * @param callback - The finished callback function.
+   */
+  function runMigrationBody(migration, direction, connection, callback) {
+    if (migration.jsFile) {
+      let migrationModule = null;
+
+      try {
+        migrationModule = require(migration.jsFile);
+      }
+      catch (ex) {
+        return callback(ex);
+      }
+
+      if (!_.isFunction(migrationModule[direction])) {
+        return callback(new Error('Migration ' + migration.version + ' ' + migration.name + ' has no ' + direction + ' function.'));
+      }
+
+      return CallbackUtils.invokeExecuteFunction((transactionConnection, done) => {
+        return migrationModule[direction](client, transactionConnection, done);
+      }, connection, callback);
+    }
+
+    let file = (direction === UP) ? migration.upFile : migration.downFile;
+
+    if (!file) {
+      return callback(new Error('Migration ' + migration.version + ' ' + migration.name + ' has no ' + direction + ' file.'));
+    }
+
+    let batches = null;
+
+    try {
+      batches = splitScript(fs.readFileSync(file, 'utf8'));
+    }
+    catch (ex) {
+      return callback(ex);
+    }
+
+    // run the batches one after another.
+    let runBatch = (index) => {
+      if (index >= batches.length) {
+        return callback();
+      }
+
+      client.runStatementInTransaction(connection, batches[index], [], (err) => {
+        if (err) {
+          return callback(err);
+        }
+
+        return runBatch(index + 1);
+      });
+    };
+
+    runBatch(0);
+  }
+
+  /**
+   * Splits a sql migration script into the statements or batches to run.
+   * mssql scripts are split on GO lines, postgres runs the whole script at once (so dollar quoted
+   * function bodies work) and the other databases are split on semicolons.
+   * @param script - The sql script.
+   * @returns {Array}
+   */
+  function splitScript(script) {
+    let dialectName = client.getDialect().name;
+
+    if (dialectName === 'mssql') {
+      return SqlUtils.splitBatches(script);
+    }
+
+    if (dialectName === 'postgres') {
+      return (_.trim(script)) ? [script] : [];
+    }
+
+    return SqlUtils.splitStatements(script);
+  }
+
+  return migrator;
+};
+
+/**
+ * Reads the migration files of a directory and groups them by version.
+ * @param directory - The migrations directory.
+ * @returns {Array} - The migrations ordered by version.
+ */
+function readMigrationFiles(directory) {
+  if (!directory) {
+    throw new Error('Migrations directory is not set.');
+  }
+
+  let migrations = {};
+
+  _.forEach(fs.readdirSync(directory).sort(), (fileName) => {
+    let sqlMatch = SQL_FILE_PATTERN.exec(fileName);
+    let jsMatch = (sqlMatch) ? null : JS_FILE_PATTERN.exec(fileName);
+    let match = sqlMatch || jsMatch;
+
+    // skip everything that is not a migration file.
+    if (!match) {
+      return;
+    }
+
+    let version = normalizeVersion(match[1]);
+    let migration = migrations[version];
+
+    if (!migration) {
+      migration = migrations[version] = {
+        version: version,
+        name: match[2]
+      };
+    }
+
+    // every version can only be used by one migration.
+    if (migration.name !== match[2] || migration.jsFile || (jsMatch && (migration.upFile || migration.downFile))) {
+      throw new Error('Migration version ' + version + ' is used by more than one migration.');
+    }
+
+    let filePath = path.resolve(directory, fileName);
+
+    if (jsMatch) {
+      migration.jsFile = filePath;
+    }
+    else if (sqlMatch[3].toLowerCase() === UP) {
+      migration.upFile = filePath;
+    }
+    else {
+      migration.downFile = filePath;
+    }
+  });
+
+  return _.map(_.values(migrations).sort((a, b) => compareVersions(a.version, b.version)), (migration) => {
+    // the checksum covers the file that is applied by the migration.
+    let checksumFile = migration.jsFile || migration.upFile;
+
+    if (!checksumFile) {
+      throw new Error('Migration ' + migration.version + ' ' + migration.name + ' has no up file.');
+    }
+
+    migration.checksum = checksum(fs.readFileSync(checksumFile, 'utf8'));
+    return migration;
+  });
+}
+
+/**
+ * Merges the migration files with the applied migrations of the tracking table.
+ * @param files - The migration files.
+ * @param appliedRows - The rows of the tracking table.
+ * @returns {Array} - The migrations ordered by version.
+ */
+function mergeMigrations(files, appliedRows) {
+  let appliedByVersion = _.keyBy(appliedRows, (row) => normalizeVersion(row.version));
+
+  let migrations = _.map(files, (file) => {
+    let row = appliedByVersion[file.version];
+
+    return _.assign({}, file, {
+      applied: !!row,
+      appliedAt: (row) ? row.applied_at : null,
+      changed: !!row && row.checksum !== file.checksum,
+      missing: false
+    });
+  });
+
+  // applied migrations without a file.
+  _.forEach(appliedRows, (row) => {
+    let version = normalizeVersion(row.version);
+
+    if (!_.find(files, { version: version })) {
+      migrations.push({
+        version: version,
+        name: row.name,
+        applied: true,
+        appliedAt: row.applied_at,
+        changed: false,
+        missing: true
+      });
+    }
+  });
+
+  return migrations.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Removes the leading zeros of a version number, so 001 and 1 are the same version.
+ * @param version - The version.
+ * @returns {string}
+ */
+function normalizeVersion(version) {
+  return String(version).replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Compares two version numbers of any length.
+ * @param a - The first version.
+ * @param b - The second version.
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+  a = normalizeVersion(a);
+  b = normalizeVersion(b);
+
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+
+  return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+/**
+ * Builds the checksum of a migration file. Line endings are normalized, so a checkout with
+ * different line endings doesn't count as a change.
+ * @param content - The file content.
+ * @returns {string}
+ */
+function checksum(content) {
+  return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+}
@@ -0,0 +1,209 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const SqlDialects = require('./sql-dialects');
+const SqlUtils = require('./sql-utilities');
+
+// the page size used when none is set.
+const DEFAULT_PAGE_SIZE = 25;
+
+// the allowed sort directions.
+const DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * Builds the count and page queries of an offset paginated query.
+ * The count wraps the base query without its ORDER BY clause, the page query adds the
+ * limit and offset for the dialect.
+ * @param dialect - The sql dialect.
+ * @param sql - The base select query.
+ * @param params - The params array or named parameters object of the base query.
+ * @param options - The pagination options. { page: Number, pageSize: Number }
+ * @returns {{page: number, pageSize: number, countQuery: Object, pageQuery: Object}}
+ */
+exports.buildOffsetQueries = (dialect, sql, params, options) => {
+  let page = toPage(options.page);
+  let pageSize = toPageSize(options.pageSize);
+  let query = SqlUtils.splitOrderBy(sql);
+
+  let pageSql = (query.orderBy) ? query.sql + ' ' + query.orderBy : query.sql;
+
+  return {
+    page: page,
+    pageSize: pageSize,
+    countQuery: {
+      sql: 'SELECT COUNT(*) AS total FROM (' + query.sql + ') paginate_count',
+      params: params
+    },
+    pageQuery: {
+      sql: dialect.applyLimit(pageSql, pageSize, (page - 1) * pageSize, !!query.orderBy),
+      params: params
+    }
+  };
+};
+
+/**
+ * Builds the page query of a keyset paginated query. The base query is wrapped and ordered by the
+ * keyset columns. When there is a cursor, only the rows after the cursor row are selected.
+ * One more row than the page size is selected to find out if there is a next page.
+ * @param dialect - The sql dialect.
+ * @param sql - The base select query.
+ * @param params - The params array or named parameters object of the base query.
+ * @param options - The pagination options. { keyset: Array, cursor: String, pageSize: Number }
+ * @returns {{pageSize: number, columns: Array, pageQuery: Object}}
+ */
+exports.buildKeysetQuery = (dialect, sql, params, options) => {
+  let pageSize = toPageSize(options.pageSize);
+  let columns = toKeysetColumns(options.keyset);
+  let query = SqlUtils.splitOrderBy(sql);
+  let namedParams = SqlUtils.isNamedParams(params, sql);
+
+  let pageParams = (namedParams) ? _.clone(params) : _.clone(SqlUtils.toPositionalParams(params));
+  let pageSql = 'SELECT * FROM (' + query.sql + ') paginate_page';
+
+  // select the rows after the cursor row.
+  if (options.cursor) {
+    let values = exports.decodeCursor(options.cursor);
+
+    if (values.length !== columns.length) {
+      throw new Error('Invalid pagination cursor.');
+    }
+
+    // adds a cursor value to the params and returns its placeholder.
+    let addParam = (index) => {
+      if (namedParams) {
+        let name = 'paginate_cursor_' + index;
+        pageParams[name] = values[index];
+        return ':' + name;
+      }
+
+      pageParams.push(values[index]);
+      return '?';
+    };
+
+    // (a > ?) OR (a = ? AND b > ?) OR ...
+    let conditions = _.map(columns, (column, i) => {
+      let parts = _.map(columns.slice(0, i), (previousColumn, j) => {
+        return dialect.quoteIdentifier(previousColumn.column) + ' = ' + addParam(j);
+      });
+
+      let operator = (column.direction === 'DESC') ? ' < ' : ' > ';
+      parts.push(dialect.quoteIdentifier(column.column) + operator + addParam(i));
+
+      return '(' + parts.join(' AND ') + ')';
+    });
+
+    pageSql += ' WHERE ' + conditions.join(' OR ');
+  }
+
+  pageSql += ' ORDER BY ' + _.map(columns, (column) => {
+    return dialect.quoteIdentifier(column.column) + ' ' + column.direction;
+  }).join(', ');
+
+  return {
+    pageSize: pageSize,
+    columns: columns,
+    pageQuery: {
+      sql: dialect.applyLimit(pageSql, pageSize + 1, null, true),
+      params: pageParams
+    }
+  };
+};
+
+/**
+ * Encodes the keyset values of a row into an opaque cursor token.
+ * @param row - The last row of a page.
+ * @param columns - The keyset columns.
+ * @returns {string}
+ */
+exports.encodeCursor = (row, columns) => {
+  let values = _.map(columns, (column) => {
+    let value = row[column.column];
+
+    if (value === undefined) {
+      throw new Error('Keyset column is missing from the rows: ' + column.column);
+    }
+
+    // keep dates as dates, so they are bound as dates again. The type tag doesn't collide with the
+    // objects of json columns, like the date key of { date: '...' } would.
+    return (_.isDate(value)) ? { $type: 'Date', value: value.toISOString() } : value;
+  });
+
+  return Buffer.from(JSON.stringify(values)).toString('base64');
+};
+
+/**
+ * Decodes a cursor token into the keyset values.
+ * @param cursor - The cursor token.
+ * @returns {Array}
+ */
+exports.decodeCursor = (cursor) => {
+  let values = null;
+
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  }
+  catch (ex) {
+    throw new Error('Invalid pagination cursor.');
+  }
+
+  if (!_.isArray(values)) {
+    throw new Error('Invalid pagination cursor.');
+  }
+
+  return _.map(values, (value) => {
+    return (_.isPlainObject(value) && value.$type === 'Date') ? new Date(value.value) : value;
+  });
+};
+
+/**
+ * Makes sure the page is a positive integer.
+ * @param page - The page number. Defaults to 1.
+ * @returns {number}
+ */
+function toPage(page) {
+  page = (_.isNil(page)) ? 1 : SqlDialects.toRowCount(page);
+
+  if (page < 1) {
+    throw new Error('Page must be a positive integer.');
+  }
+
+  return page;
+}
+
+/**
+ * Makes sure the page size is a positive integer.
+ * @param pageSize - The page size. Defaults to 25.
+ * @returns {number}
+ */
+function toPageSize(pageSize) {
+  pageSize = (_.isNil(pageSize)) ? DEFAULT_PAGE_SIZE : SqlDialects.toRowCount(pageSize);
+
+  if (pageSize < 1) {
+    throw new Error('Page size must be a positive integer.');
+  }
+
+  return pageSize;
+}
+
+/**
+ * Converts the keyset option into a list of columns and directions.
+ * @param keyset - The column names or { column: String, direction: String } objects.
+ * @returns {Array}
+ */
+function toKeysetColumns(keyset) {
+  if (_.isEmpty(keyset)) {
+    throw new Error('Keyset pagination needs at least one keyset column.');
+  }
+
+  return _.map(_.castArray(keyset), (column) => {
+    let keysetColumn = (_.isString(column)) ? { column: column } : _.clone(column);
+    keysetColumn.direction = (keysetColumn.direction || 'ASC').toUpperCase();
+
+    if (!_.includes(DIRECTIONS, keysetColumn.direction)) {
+      throw new Error('Invalid order by direction: ' + keysetColumn.direction);
+    }
+
+    return keysetColumn;
+  });
+}
@@ -0,0 +1,479 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const SqlDialects = require('./sql-dialects');
+
+// the query types.
+const SELECT = 'SELECT';
+const INSERT = 'INSERT';
+const UPDATE = 'UPDATE';
+const DELETE = 'DELETE';
+
+// the allowed join types and sort directions.
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL'];
+const DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * Creates a chainable query builder. build() returns an object with the sql and params array
+ * that can be passed to runQuery or runStatement.
+ *
+ * Ex: createQueryBuilder(getDialect).select(mappings).from('users').where({ status: 'A' }).limit(50).build();
+ *
+ * @param getDialect - Returns the sql dialect of the active adapter. Called when the query is built.
+ * @returns {Object} - The query builder.
+ */
+exports.createQueryBuilder = (getDialect) => {
+  // the query parts.
+  let query = {
+    type: SELECT,
+    table: null,
+    columns: [],
+    values: [],
+    joins: [],
+    conditions: [],
+    groupBy: [],
+    orderBy: [],
+    limit: null,
+    offset: null
+  };
+
+  const builder = {};
+
+  //======================================================================================
+  // Query Types.
+  //======================================================================================
+
+  /**
+   * Starts a select query.
+   * The columns are strings or mapping objects (see createSelectFields). { field: String, rename: String }
+   * Use { raw: String, rename: String } for expressions. Ex: { raw: 'COUNT(*)', rename: 'total' }
+   * @param [columns] - The array of columns. Defaults to all columns.
+   * @param [tableName] - The table name to prefix the fields with.
+   */
+  builder.select = (columns, tableName) => {
+    query.type = SELECT;
+
+    _.forEach(columns, (column) => {
+      let mapping = (_.isString(column)) ? { field: column } : _.clone(column);
+
+      if (tableName && mapping.field) {
+        mapping.field = tableName + '.' + mapping.field;
+      }
+
+      query.columns.push(mapping);
+    });
+
+    return builder;
+  };
+
+  /**
+   * Starts an insert query.
+   * @param tableName - The table name.
+   */
+  builder.insertInto = (tableName) => {
+    query.type = INSERT;
+    query.table = tableName;
+    return builder;
+  };
+
+  /**
+   * Starts an update query.
+   * @param tableName - The table name.
+   */
+  builder.update = (tableName) => {
+    query.type = UPDATE;
+    query.table = tableName;
+    return builder;
+  };
+
+  /**
+   * Starts a delete query.
+   * @param tableName - The table name.
+   */
+  builder.deleteFrom = (tableName) => {
+    query.type = DELETE;
+    query.table = tableName;
+    return builder;
+  };
+
+  //======================================================================================
+  // Query Parts.
+  //======================================================================================
+
+  /**
+   * Sets the table to select from. Ex: 'users' or 'users AS u'
+   * @param tableName - The table name.
+   */
+  builder.from = (tableName) => {
+    query.table = tableName;
+    return builder;
+  };
+
+  /**
+   * Sets the values of an insert query or the SET values of an update query.
+   * Undefined values are skipped.
+   * @param values - The object of key value pairs where keys are the db column names.
+   */
+  builder.values = (values) => {
+    _.forOwn(values, (value, key) => {
+      if (value !== undefined) {
+        query.values.push({ column: key, value: value });
+      }
+    });
+
+    return builder;
+  };
+
+  /**
+   * Alias for values used by update queries.
+   * @param values - The object of key value pairs where keys are the db column names.
+   */
+  builder.set = (values) => {
+    return builder.values(values);
+  };
+
+  /**
+   * Adds a join. Ex: join('orders AS o', 'o.user_id', 'u.id') or join('orders AS o', 'o.user_id = u.id AND o.open = 1')
+   * @param tableName - The table to join.
+   * @param leftColumn - The left column or the raw ON condition.
+   * @param [rightColumn] - The right column.
+   * @param [type] - The join type. INNER, LEFT, RIGHT or FULL. Defaults to INNER.
+   */
+  builder.join = (tableName, leftColumn, rightColumn, type) => {
+    type = (type || 'INNER').toUpperCase();
+
+    if (!_.includes(JOIN_TYPES, type)) {
+      throw new Error('Invalid join type: ' + type);
+    }
+
+    query.joins.push({
+      type: type,
+      table: tableName,
+      leftColumn: leftColumn,
+      rightColumn: rightColumn
+    });
+
+    return builder;
+  };
+
+  /**
+   * Adds a left join.
+   * @param tableName - The table to join.
+   * @param leftColumn - The left column or the raw ON condition.
+   * @param [rightColumn] - The right column.
+   */
+  builder.leftJoin = (tableName, leftColumn, rightColumn) => {
+    return builder.join(tableName, leftColumn, rightColumn, 'LEFT');
+  };
+
+  /**
+   * Adds where conditions. All conditions are joined with AND.
+   * Takes an object of column/value pairs (null values use IS NULL, arrays use IN) or a raw condition
+   * string with question mark placeholders and its params array.
+   * @param conditions - The conditions object or raw condition string.
+   * @param [params] - The params of a raw condition string.
+   * @throws an error for an undefined value, so a missing value doesn't bind undefined.
+   */
+  builder.where = (conditions, params) => {
+    if (_.isString(conditions)) {
+      query.conditions.push({ raw: conditions, params: params || [] });
+      return builder;
+    }
+
+    _.forOwn(conditions, (value, key) => {
+      if (value === undefined) {
+        throw new Error('The where value of ' + key + ' is undefined.');
+      }
+
+      if (_.isArray(value)) {
+        builder.whereIn(key, value);
+      }
+      else {
+        query.conditions.push({ column: key, value: value });
+      }
+    });
+
+    return builder;
+  };
+
+  /**
+   * Adds a column IN (values) condition. An empty values array matches no rows.
+   * @param column - The column name.
+   * @param values - The array of values.
+   */
+  builder.whereIn = (column, values) => {
+    query.conditions.push({ column: column, values: values || [] });
+    return builder;
+  };
+
+  /**
+   * Adds group by columns.
+   * @param columns - The column name or array of column names.
+   */
+  builder.groupBy = (columns) => {
+    query.groupBy = query.groupBy.concat(_.castArray(columns));
+    return builder;
+  };
+
+  /**
+   * Adds an order by column.
+   * @param column - The column name.
+   * @param [direction] - ASC or DESC. Defaults to ASC.
+   */
+  builder.orderBy = (column, direction) => {
+    direction = (direction || 'ASC').toUpperCase();
+
+    if (!_.includes(DIRECTIONS, direction)) {
+      throw new Error('Invalid order by direction: ' + direction);
+    }
+
+    query.orderBy.push({ column: column, direction: direction });
+    return builder;
+  };
+
+  /**
+   * Sets the max number of rows to select.
+   * @param limit - The number of rows.
+   */
+  builder.limit = (limit) => {
+    query.limit = limit;
+    return builder;
+  };
+
+  /**
+   * Sets the number of rows to skip.
+   * @param offset - The number of rows.
+   */
+  builder.offset = (offset) => {
+    query.offset = offset;
+    return builder;
+  };
+
+  //======================================================================================
+  // Build Functions.
+  //======================================================================================
+
+  /**
+   * Builds the query for the dialect of the active adapter.
+   * @returns {{sql: string, params: Array}}
+   */
+  builder.build = () => {
+    let dialect = getDialect();
+
+    // make sure a table is set.
+    if (!query.table) {
+      throw new Error('Query table is not set.');
+    }
+
+    // insert and update queries need a column to set.
+    if ((query.type === INSERT || query.type === UPDATE) && query.values.length === 0) {
+      throw new Error(query.type + ' queries need at least one value.');
+    }
+
+    if (query.type === SELECT) {
+      return buildSelect(dialect);
+    }
+    else if (query.type === INSERT) {
+      return buildInsert(dialect);
+    }
+    else if (query.type === UPDATE) {
+      return buildUpdate(dialect);
+    }
+
+    return buildDelete(dialect);
+  };
+
+  /**
+   * Builds the select query.
+   * @param dialect - The sql dialect.
+   * @returns {{sql: string, params: Array}}
+   */
+  function buildSelect(dialect) {
+    let params = [];
+    let sql = 'SELECT ';
+
+    // mssql uses TOP when there is no offset.
+    let useTop = dialect.limitStyle === SqlDialects.FETCH_STYLE && !_.isNil(query.limit) && _.isNil(query.offset);
+
+    if (useTop) {
+      sql += 'TOP (' + SqlDialects.toRowCount(query.limit) + ') ';
+    }
+
+    // add the select columns.
+    if (query.columns.length === 0) {
+      sql += '*';
+    }
+    else {
+      sql += _.map(query.columns, (mapping) => {
+        let column = (mapping.raw) ? mapping.raw : dialect.quoteIdentifier(mapping.field);
+
+        if (mapping.rename && !_.isEmpty(mapping.rename)) {
+          column += ' AS ' + dialect.quoteIdentifier(mapping.rename);
+        }
+
+        return column;
+      }).join(', ');
+    }
+
+    sql += ' FROM ' + quoteTableReference(dialect, query.table);
+
+    // add the joins.
+    _.forEach(query.joins, (join) => {
+      sql += ' ' + join.type + ' JOIN ' + quoteTableReference(dialect, join.table) + ' ON ';
+
+      if (join.rightColumn) {
+        sql += dialect.quoteIdentifier(join.leftColumn) + ' = ' + dialect.quoteIdentifier(join.rightColumn);
+      }
+      else {
+        sql += join.leftColumn;
+      }
+    });
+
+    sql += buildWhere(dialect, params);
+
+    if (query.groupBy.length > 0) {
+      sql += ' GROUP BY ' + _.map(query.groupBy, dialect.quoteIdentifier).join(', ');
+    }
+
+    if (query.orderBy.length > 0) {
+      sql += ' ORDER BY ' + _.map(query.orderBy, (order) => {
+        return dialect.quoteIdentifier(order.column) + ' ' + order.direction;
+      }).join(', ');
+    }
+
+    if (!useTop) {
+      sql = dialect.applyLimit(sql, query.limit, query.offset, query.orderBy.length > 0);
+    }
+
+    return {
+      sql: sql,
+      params: params
+    };
+  }
+
+  /**
+   * Builds the insert query.
+   * @param dialect - The sql dialect.
+   * @returns {{sql: string, params: Array}}
+   */
+  function buildInsert(dialect) {
+    let columns = _.map(query.values, (item) => {
+      return dialect.quoteIdentifier(item.column);
+    });
+
+    let placeHolders = _.map(query.values, () => {
+      return '?';
+    });
+
+    return {
+      sql: 'INSERT INTO ' + dialect.quoteIdentifier(query.table) + ' (' + columns.join(', ') + ') VALUES (' + placeHolders.join(', ') + ')',
+      params: _.map(query.values, 'value')
+    };
+  }
+
+  /**
+   * Builds the update query.
+   * @param dialect - The sql dialect.
+   * @returns {{sql: string, params: Array}}
+   */
+  function buildUpdate(dialect) {
+    let params = [];
+
+    let setClause = _.map(query.values, (item) => {
+      params.push(item.value);
+      return dialect.quoteIdentifier(item.column) + ' = ?';
+    }).join(', ');
+
+    let sql = 'UPDATE ' + dialect.quoteIdentifier(query.table) + ' SET ' + setClause + buildWhere(dialect, params, true);
+
+    return {
+      sql: sql,
+      params: params
+    };
+  }
+
+  /**
+   * Builds the delete query.
+   * @param dialect - The sql dialect.
+   * @returns {{sql: string, params: Array}}
+   */
+  function buildDelete(dialect) {
+    let params = [];
+    let sql = 'DELETE FROM ' + dialect.quoteIdentifier(query.table) + buildWhere(dialect, params, true);
+
+    return {
+      sql: sql,
+      params: params
+    };
+  }
+
+  /**
+   * Builds the where clause and adds its params to the params array.
+   * @param dialect - The sql dialect.
+   * @param params - The params array.
+   * @param required - Flag indicating if the query needs a where clause (update and delete).
+   * @returns {string}
+   */
+  function buildWhere(dialect, params, required) {
+    if (query.conditions.length === 0) {
+      if (required) {
+        throw new Error(query.type + ' queries need a where clause.');
+      }
+
+      return '';
+    }
+
+    let conditions = _.map(query.conditions, (condition) => {
+      if (condition.raw) {
+        _.forEach(condition.params, (param) => {
+          params.push(param);
+        });
+
+        return '(' + condition.raw + ')';
+      }
+
+      let column = dialect.quoteIdentifier(condition.column);
+
+      if (condition.values) {
+        // an empty IN list matches no rows.
+        if (condition.values.length === 0) {
+          return '1 = 0';
+        }
+
+        _.forEach(condition.values, (value) => {
+          params.push(value);
+        });
+
+        return column + ' IN (' + _.map(condition.values, () => '?').join(', ') + ')';
+      }
+
+      if (_.isNull(condition.value)) {
+        return column + ' IS NULL';
+      }
+
+      params.push(condition.value);
+      return column + ' = ?';
+    });
+
+    return ' WHERE ' + conditions.join(' AND ');
+  }
+
+  return builder;
+};
+
+/**
+ * Quotes a table reference with an optional alias. Ex: 'dbo.users AS u' or 'users u'
+ * @param dialect - The sql dialect.
+ * @param tableReference - The table name and optional alias.
+ * @returns {string}
+ */
+function quoteTableReference(dialect, tableReference) {
+  let match = /^(.+?)(?:\s+AS)?\s+([^\s.]+)$/i.exec(tableReference.trim());
+
+  if (!match) {
+    return dialect.quoteIdentifier(tableReference.trim());
+  }
+
+  return dialect.quoteIdentifier(match[1]) + ' AS ' + dialect.quoteIdentifier(match[2]);
+}
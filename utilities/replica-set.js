@@ -0,0 +1,199 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const DbErrors = require('./db-errors');
+
+// the replica selection strategies.
+const ROUND_ROBIN = 'roundRobin';
+const LEAST_BUSY = 'leastBusy';
+
+// the default time in milliseconds an unhealthy replica is left out of the selection.
+const DEFAULT_EJECT_TIME = 30000;
+
+/**
+ * Creates the set of read replicas of a client. Every replica gets its own adapter instance, configured with
+ * the db options of the primary merged with the options of the replica, when it is used for the first time.
+ *
+ * Reads run on a healthy replica picked round-robin or by the least running queries. A replica that can't be
+ * configured or fails with a ConnectionError is ejected for the eject time and the read runs on the primary.
+ *
+ * @param primaryAdapter - The configured adapter of the primary. Reads run on it when no replica is healthy.
+ * @param adapterName - The adapter name of the replicas.
+ * @param options - The db config options. { replicas: Array, replicaSelection: String, replicaEjectTime: Number }
+ * Ex: replicas: [{ server: 'replica-1' }, { server: 'replica-2', port: 3307 }]
+ * @param onEject - Called when a replica is ejected. function (event) {} { server, port, ejectTime, error }
+ * @returns {Object} - The replica set object.
+ * @throws an error for an unknown replica selection.
+ */
+exports.createReplicaSet = (primaryAdapter, adapterName, options, onEject) => {
+  // the replica set object.
+  const replicaSet = {};
+
+  let selection = options.replicaSelection || ROUND_ROBIN;
+  let ejectTime = (_.isNil(options.replicaEjectTime)) ? DEFAULT_EJECT_TIME : options.replicaEjectTime;
+
+  // rotates the start of the selection, so the replicas take turns.
+  let selectionCounter = 0;
+
+  if (selection !== ROUND_ROBIN && selection !== LEAST_BUSY) {
+    throw new Error('Unknown replica selection: ' + selection);
+  }
+
+  let replicas = _.map(options.replicas, (replicaOptions) => {
+    return {
+      options: _.assign(_.omit(options, ['replicas']), replicaOptions),
+      adapter: require('../database-adapters/' + adapterName).createAdapter(),
+      isConfigured: false,
+      configureCallbacks: null,
+      activeQueries: 0,
+      ejectedUntil: 0
+    };
+  });
+
+  /**
+   * Runs a read on a healthy replica or on the primary when no replica is healthy.
+   * A read that fails with a ConnectionError on a replica ejects the replica and runs again on the primary.
+   * @param run - Runs the read on an adapter. function (adapter, done) {}
+   * @param callback - The finished callback function.
+   */
+  replicaSet.run = (run, callback) => {
+    let replica = selectReplica();
+
+    if (!replica) {
+      return run(primaryAdapter, callback);
+    }
+
+    replica.activeQueries++;
+
+    configureReplica(replica, (err) => {
+      if (err) {
+        replica.activeQueries--;
+        eject(replica, err);
+        return run(primaryAdapter, callback);
+      }
+
+      run(replica.adapter, (err, ...results) => {
+        replica.activeQueries--;
+
+        if (err && replica.adapter.toDbError(err) instanceof DbErrors.ConnectionError) {
+          eject(replica, err);
+          return run(primaryAdapter, callback);
+        }
+
+        return callback(err, ...results);
+      });
+    });
+  };
+
+  /**
+   * Gets the state of the replicas. [{ server, port, healthy, activeQueries, pool }]
+   * The pool holds the connection counts of the adapter (see getPoolStats) and is null until the replica is used.
+   * @returns {Array}
+   */
+  replicaSet.getReplicas = () => {
+    let now = Date.now();
+
+    return _.map(replicas, (replica) => {
+      return {
+        server: replica.options.server,
+        port: replica.options.port,
+        healthy: replica.ejectedUntil <= now,
+        activeQueries: replica.activeQueries,
+        pool: (replica.isConfigured) ? replica.adapter.getPoolStats() : null
+      };
+    });
+  };
+
+  /**
+   * Closes the adapters of the configured replicas.
+   * @param callback - The finished callback function. callback(err); The first close error is returned.
+   */
+  replicaSet.close = (callback) => {
+    let configured = _.filter(replicas, 'isConfigured');
+    let firstError = null;
+    let index = 0;
+
+    let closeNext = () => {
+      if (index >= configured.length) {
+        return callback(firstError);
+      }
+
+      let replica = configured[index++];
+
+      replica.adapter.close((err) => {
+        replica.isConfigured = false;
+        firstError = firstError || err || null;
+        closeNext();
+      });
+    };
+
+    closeNext();
+  };
+
+  /**
+   * Picks a healthy replica with the replica selection.
+   * @returns {Object|null} - The replica or null when no replica is healthy.
+   */
+  function selectReplica() {
+    let now = Date.now();
+    let healthy = _.filter(replicas, (replica) => {
+      return replica.ejectedUntil <= now;
+    });
+
+    if (healthy.length === 0) {
+      return null;
+    }
+
+    let start = selectionCounter++ % healthy.length;
+    let ordered = healthy.slice(start).concat(healthy.slice(0, start));
+
+    return (selection === LEAST_BUSY) ? _.minBy(ordered, 'activeQueries') : ordered[0];
+  }
+
+  /**
+   * Configures the adapter of a replica once. Reads that come in while it is configured wait on it.
+   * @param replica - The replica.
+   * @param callback - The finished callback function. callback(err);
+   */
+  function configureReplica(replica, callback) {
+    if (replica.isConfigured) {
+      return callback();
+    }
+
+    if (replica.configureCallbacks) {
+      return replica.configureCallbacks.push(callback);
+    }
+
+    replica.configureCallbacks = [callback];
+
+    replica.adapter.configure(replica.options, (err) => {
+      let callbacks = replica.configureCallbacks;
+
+      replica.isConfigured = !err;
+      replica.configureCallbacks = null;
+
+      _.forEach(callbacks, (configureCallback) => {
+        configureCallback(err);
+      });
+    });
+  }
+
+  /**
+   * Leaves an unhealthy replica out of the selection for the eject time.
+   * @param replica - The replica.
+   * @param err - The error of the replica.
+   */
+  function eject(replica, err) {
+    replica.ejectedUntil = Date.now() + ejectTime;
+
+    onEject({
+      server: replica.options.server,
+      port: replica.options.port,
+      ejectTime: ejectTime,
+      error: err
+    });
+  }
+
+  return replicaSet;
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+
+// the defaults of a retry policy.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  delay: 100,
+  maxDelay: 5000
+};
+
+/**
+ * Builds the retry policy of a call out of the global policy of the db options and the policy of the call.
+ * A policy is true (use the defaults), false (no retries) or an object that overrides the defaults.
+ * The call policy overrides the global policy.
+ * Ex: { maxAttempts: 5, delay: 50, maxDelay: 2000, isRetryable: function (err) {}, onRetry: function (retry) {} }
+ * @param globalPolicy - The retry option of the db options.
+ * @param callPolicy - The retry option of the call.
+ * @returns {Object|null} - The policy or null when the call is not retried.
+ */
+exports.getRetryPolicy = (globalPolicy, callPolicy) => {
+  if (callPolicy === false || (_.isNil(callPolicy) && !globalPolicy)) {
+    return null;
+  }
+
+  let policy = _.assign({}, DEFAULT_RETRY_POLICY,
+    (_.isPlainObject(globalPolicy)) ? globalPolicy : null,
+    (_.isPlainObject(callPolicy)) ? callPolicy : null);
+
+  return (policy.maxAttempts > 1) ? policy : null;
+};
+
+/**
+ * Gets the delay before a retry. The delay doubles with every attempt up to the max delay and
+ * a random half of it is taken off, so callers that failed together don't retry together.
+ * @param policy - The retry policy.
+ * @param attempt - The attempt that failed, starting at 1.
+ * @returns {number} - The delay in milliseconds.
+ */
+exports.getRetryDelay = (policy, attempt) => {
+  let delay = Math.min(policy.maxDelay, policy.delay * Math.pow(2, attempt - 1));
+
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Runs a function and runs it again after a delay while it fails with a retryable error
+ * and the max attempts are not reached.
+ * @param policy - The retry policy. { maxAttempts, delay, maxDelay, isRetryable }
+ * @param run - The function to run. function (attempt, done) {}
+ * @param onRetry - Fired before every retry. function ({ attempt, delay, error }) {}
+ * @param callback - The finished callback function with the results of the last attempt.
+ */
+exports.runWithRetry = (policy, run, onRetry, callback) => {
+  let attempt = 0;
+
+  let runAttempt = () => {
+    attempt++;
+
+    run(attempt, (err, ...results) => {
+      if (!err || attempt >= policy.maxAttempts || !policy.isRetryable(err)) {
+        return callback(err, ...results);
+      }
+
+      let delay = exports.getRetryDelay(policy, attempt);
+
+      onRetry({
+        attempt: attempt,
+        delay: delay,
+        error: err
+      });
+
+      setTimeout(runAttempt, delay);
+    });
+  };
+
+  runAttempt();
+};
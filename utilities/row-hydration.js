@@ -0,0 +1,212 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+
+/**
+ * Builds nested objects out of the flat rows of a JOIN query in one pass over the rows.
+ *
+ * The mapping spec describes the root objects and their relations. Every level has a key (a column name or an
+ * array of column names for composite keys) and the relations have the prefix of their columns. A column belongs
+ * to the level with the longest matching prefix and is added to its objects without the prefix. The rows of a
+ * level with a null key (the missing children of a LEFT JOIN) are dropped.
+ *
+ * Ex: SELECT u.id, u.name, l.id AS login_id, l.date AS login_date, a.city AS address_city, a.id AS address_id
+ * {
+ *   key: 'id',
+ *   relations: {
+ *     logins: { prefix: 'login_', key: 'id' },
+ *     address: { prefix: 'address_', key: 'id', type: 'one' }
+ *   }
+ * }
+ * [{ id: 1, name: 'bob', logins: [{ id: 7, date: ... }], address: { id: 3, city: 'Austin' } }]
+ *
+ * @param rows - The rows of the query.
+ * @param spec - The mapping spec. { key: String|Array, prefix: String, relations: Object }
+ * The relations are { prefix: String, key: String|Array, type: 'many'|'one', relations: Object } by the property
+ * name they get on their parent. The type defaults to 'many', which is an array of the children. A 'one'
+ * relation is the child object or null. The prefix of the root defaults to no prefix.
+ * @returns {Array} - The root objects in the order they first appear in the rows.
+ * @throws an error for a spec without key, a relation without prefix or a key column that is not in the rows.
+ */
+exports.hydrateRows = (rows, spec) => {
+  let root = createLevel('root', spec, spec.prefix || '');
+  let results = [];
+
+  if (_.isEmpty(rows)) {
+    return results;
+  }
+
+  assignColumns(root, _.keys(rows[0]));
+
+  let rootEntries = new Map();
+
+  _.forEach(rows, (row) => {
+    let hydrated = hydrateLevel(root, row, rootEntries);
+
+    if (hydrated && hydrated.isNew) {
+      results.push(hydrated.entry.object);
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Creates a level of the mapping spec with its nested relations.
+ * @param name - The property name of the level on its parent.
+ * @param spec - The spec of the level.
+ * @param prefix - The column prefix of the level.
+ * @returns {Object} - The level. { name, prefix, key, isOne, columns, relations }
+ * @throws an error for a level without key or a relation without prefix.
+ */
+function createLevel(name, spec, prefix) {
+  if (_.isEmpty(spec.key)) {
+    throw new Error('The ' + name + ' mapping needs a key.');
+  }
+
+  return {
+    name: name,
+    prefix: prefix,
+    key: _.castArray(spec.key),
+    isOne: spec.type === 'one',
+    columns: [],
+    relations: _.map(spec.relations, (relationSpec, relationName) => {
+      if (!relationSpec.prefix) {
+        throw new Error('The ' + relationName + ' relation needs a column prefix.');
+      }
+
+      return createLevel(relationName, relationSpec, relationSpec.prefix);
+    })
+  };
+}
+
+/**
+ * Assigns every column of the rows to the level with the longest matching prefix. The columns that don't
+ * match a prefix are left out.
+ * @param root - The root level.
+ * @param columnNames - The column names of the rows.
+ * @throws an error for a key column that is not in the rows.
+ */
+function assignColumns(root, columnNames) {
+  let levels = [];
+
+  let collectLevels = (level) => {
+    levels.push(level);
+    _.forEach(level.relations, collectLevels);
+  };
+
+  collectLevels(root);
+
+  _.forEach(columnNames, (columnName) => {
+    let level = _.maxBy(_.filter(levels, (level) => {
+      return _.startsWith(columnName, level.prefix);
+    }), 'prefix.length');
+
+    if (level) {
+      level.columns.push({
+        column: columnName,
+        field: columnName.substring(level.prefix.length)
+      });
+    }
+  });
+
+  _.forEach(levels, (level) => {
+    _.forEach(level.key, (key) => {
+      if (!_.some(level.columns, { field: key })) {
+        throw new Error('The key column ' + level.prefix + key + ' of the ' + level.name + ' mapping is not in the rows.');
+      }
+    });
+  });
+}
+
+/**
+ * Adds the object of a level and the objects of its relations for a row. The objects seen before are found
+ * by their key, so every row is handled in constant time.
+ * @param level - The level.
+ * @param row - The row.
+ * @param entries - The objects of the level under the same parent by their key.
+ * @returns {Object|null} - { entry: { object, children }, isNew: Boolean } or null when the key is null.
+ */
+function hydrateLevel(level, row, entries) {
+  let keyValue = getKeyValue(level, row);
+
+  if (keyValue === null) {
+    return null;
+  }
+
+  let entry = entries.get(keyValue);
+  let isNew = !entry;
+
+  if (isNew) {
+    entry = {
+      object: createObject(level, row),
+      children: {}
+    };
+
+    _.forEach(level.relations, (relation) => {
+      entry.children[relation.name] = new Map();
+    });
+
+    entries.set(keyValue, entry);
+  }
+
+  _.forEach(level.relations, (relation) => {
+    let hydrated = hydrateLevel(relation, row, entry.children[relation.name]);
+
+    if (!hydrated || !hydrated.isNew) {
+      return;
+    }
+
+    if (!relation.isOne) {
+      entry.object[relation.name].push(hydrated.entry.object);
+    }
+    else if (entry.object[relation.name] === null) {
+      entry.object[relation.name] = hydrated.entry.object;
+    }
+  });
+
+  return {
+    entry: entry,
+    isNew: isNew
+  };
+}
+
+/**
+ * Creates the object of a level out of its columns of a row.
+ * @param level - The level.
+ * @param row - The row.
+ * @returns {Object}
+ */
+function createObject(level, row) {
+  let object = {};
+
+  _.forEach(level.columns, (column) => {
+    object[column.field] = row[column.column];
+  });
+
+  _.forEach(level.relations, (relation) => {
+    object[relation.name] = (relation.isOne) ? null : [];
+  });
+
+  return object;
+}
+
+/**
+ * Gets the key of a level in a row. Composite keys and keys that are objects (Ex: dates) are turned
+ * into strings, so equal keys of different rows match.
+ * @param level - The level.
+ * @param row - The row.
+ * @returns {*} - The key or null when a key column is null.
+ */
+function getKeyValue(level, row) {
+  let values = _.map(level.key, (key) => {
+    return row[level.prefix + key];
+  });
+
+  if (_.some(values, _.isNil)) {
+    return null;
+  }
+
+  return (values.length === 1 && !_.isObject(values[0])) ? values[0] : JSON.stringify(values);
+}
@@ -0,0 +1,273 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const SqlUtils = require('./sql-utilities');
+
+// the close quote of every identifier open quote.
+const CLOSE_QUOTES = {
+  '"': '"',
+  '[': ']',
+  '`': '`'
+};
+
+/**
+ * Gets the list of tables and views with the catalog query of an adapter.
+ * The query selects the table_schema, table_name and table_type (table or view) columns.
+ * @param runQuery - The runQuery function of the adapter.
+ * @param queries - The catalog queries of the adapter.
+ * @param callback - The finished callback function. callback(err, [{ schema, name, type }]);
+ */
+exports.getTables = (runQuery, queries, callback) => {
+  runQuery(queries.tables, [], (err, results) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, _.map(SqlUtils.getRows(results), (row) => {
+      return {
+        schema: row.table_schema,
+        name: row.table_name,
+        type: (/view/i.test(row.table_type)) ? 'view' : 'table'
+      };
+    }));
+  });
+};
+
+/**
+ * Describes a table with the catalog queries of an adapter. The queries take :schema and :table
+ * named parameters. The schema is null when the table name has no schema.
+ * The primary key comes from the primary index, or from the primary_key_ordinal of the column rows
+ * when the database has no index for it (sqlite rowid tables).
+ * @param runQuery - The runQuery function of the adapter.
+ * @param queries - The catalog queries of the adapter. { columns: String, indexes: String, foreignKeys: String }
+ * @param tableName - The table name. Ex: users or dbo.users
+ * @param callback - The finished callback function. callback(err, { schema, name, columns, primaryKey, indexes, foreignKeys });
+ */
+exports.describeTable = (runQuery, queries, tableName, callback) => {
+  let params = toCatalogParams(tableName);
+
+  runQuery(queries.columns, params, (err, columnResults) => {
+    if (err) {
+      return callback(err);
+    }
+
+    let columnRows = SqlUtils.getRows(columnResults);
+
+    // make sure the table exists.
+    if (columnRows.length === 0) {
+      return callback(new Error('Table not found: ' + tableName));
+    }
+
+    runQuery(queries.indexes, params, (err, indexResults) => {
+      if (err) {
+        return callback(err);
+      }
+
+      exports.getForeignKeys(runQuery, queries, tableName, (err, foreignKeys) => {
+        if (err) {
+          return callback(err);
+        }
+
+        let indexes = buildIndexes(SqlUtils.getRows(indexResults));
+        let primaryIndex = _.find(indexes, 'primary');
+
+        return callback(null, {
+          schema: _.first(columnRows).table_schema,
+          name: params.table,
+          columns: _.map(columnRows, buildColumn),
+          primaryKey: (primaryIndex) ? primaryIndex.columns : _.map(_.filter(columnRows, 'primary_key_ordinal').sort((a, b) => {
+            return a.primary_key_ordinal - b.primary_key_ordinal;
+          }), 'column_name'),
+          indexes: indexes,
+          foreignKeys: foreignKeys
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Gets the foreign keys of a table with the catalog query of an adapter.
+ * The query selects one row per column ordered by the constraint name and column position.
+ * @param runQuery - The runQuery function of the adapter.
+ * @param queries - The catalog queries of the adapter.
+ * @param tableName - The table name. Ex: users or dbo.users
+ * @param callback - The finished callback function. callback(err, [{ name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete }]);
+ */
+exports.getForeignKeys = (runQuery, queries, tableName, callback) => {
+  runQuery(queries.foreignKeys, toCatalogParams(tableName), (err, results) => {
+    if (err) {
+      return callback(err);
+    }
+
+    let foreignKeys = [];
+
+    _.forEach(SqlUtils.getRows(results), (row) => {
+      let foreignKey = _.last(foreignKeys);
+
+      // the rows of a constraint are next to each other.
+      if (!foreignKey || foreignKey.name !== row.constraint_name || foreignKey.id !== row.constraint_id) {
+        foreignKey = {
+          id: row.constraint_id,
+          name: row.constraint_name,
+          columns: [],
+          referencedSchema: row.referenced_schema,
+          referencedTable: row.referenced_table,
+          referencedColumns: [],
+          onUpdate: toRule(row.update_rule),
+          onDelete: toRule(row.delete_rule)
+        };
+
+        foreignKeys.push(foreignKey);
+      }
+
+      foreignKey.columns.push(row.column_name);
+      foreignKey.referencedColumns.push(row.referenced_column);
+    });
+
+    return callback(null, _.map(foreignKeys, (foreignKey) => _.omit(foreignKey, 'id')));
+  });
+};
+
+/**
+ * Splits a table name into the named parameters of the catalog queries.
+ * Ex: dbo.users returns { schema: 'dbo', table: 'users' }.
+ * @param tableName - The table name.
+ * @returns {{schema: string|null, table: string}}
+ */
+function toCatalogParams(tableName) {
+  let parts = splitTableName(String(tableName));
+
+  return {
+    schema: (parts.length > 1) ? parts[parts.length - 2] : null,
+    table: _.last(parts)
+  };
+}
+
+/**
+ * Splits a table name on the dots that are not inside of quotes and removes the quotes of the parts.
+ * Ex: "my.schema".users returns ['my.schema', 'users'] and [dbo].[a.b] returns ['dbo', 'a.b'].
+ * @param tableName - The table name.
+ * @returns {Array}
+ */
+function splitTableName(tableName) {
+  let parts = [];
+  let current = '';
+  let closeQuote = null;
+
+  for (let i = 0; i < tableName.length; i++) {
+    let char = tableName.charAt(i);
+
+    if (closeQuote) {
+      if (char !== closeQuote) {
+        current += char;
+      }
+      // doubled close quotes are escaped quotes.
+      else if (tableName.charAt(i + 1) === closeQuote) {
+        current += char;
+        i++;
+      }
+      else {
+        closeQuote = null;
+      }
+    }
+    else if (CLOSE_QUOTES[char] && current.trim() === '') {
+      closeQuote = CLOSE_QUOTES[char];
+      current = '';
+    }
+    else if (char === '.') {
+      parts.push(current.trim());
+      current = '';
+    }
+    else {
+      current += char;
+    }
+  }
+
+  parts.push(current.trim());
+
+  return parts;
+}
+
+/**
+ * Builds a column object out of a catalog row.
+ * @param row - The catalog row.
+ * @returns {Object}
+ */
+function buildColumn(row) {
+  return {
+    name: row.column_name,
+    position: Number(row.ordinal_position),
+    type: String(row.data_type).toLowerCase(),
+    maxLength: toNumber(row.max_length),
+    precision: toNumber(row.numeric_precision),
+    scale: toNumber(row.numeric_scale),
+    nullable: toBoolean(row.is_nullable),
+    defaultValue: (_.isNil(row.column_default)) ? null : String(row.column_default),
+    autoIncrement: toBoolean(row.is_auto_increment)
+  };
+}
+
+/**
+ * Groups the index catalog rows (one row per index column) into index objects.
+ * @param rows - The catalog rows ordered by the index name and column position.
+ * @returns {Array}
+ */
+function buildIndexes(rows) {
+  let indexes = [];
+
+  _.forEach(rows, (row) => {
+    let index = _.last(indexes);
+
+    if (!index || index.name !== row.index_name) {
+      index = {
+        name: row.index_name,
+        columns: [],
+        unique: toBoolean(row.is_unique),
+        primary: toBoolean(row.is_primary)
+      };
+
+      indexes.push(index);
+    }
+
+    index.columns.push(row.column_name);
+  });
+
+  return indexes;
+}
+
+/**
+ * Converts the catalog flags (YES/NO, 1/0, true/false) to booleans.
+ * @param value - The flag value.
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (_.isString(value)) {
+    return /^(yes|y|true|1)$/i.test(value);
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value[0] === 1;
+  }
+
+  return !!value;
+}
+
+/**
+ * Converts a catalog number to a number. Empty values are null.
+ * @param value - The catalog value.
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  return (_.isNil(value) || value === '') ? null : Number(value);
+}
+
+/**
+ * Converts a referential action to the sql form. Ex: SET_NULL returns SET NULL.
+ * @param rule - The referential action.
+ * @returns {string}
+ */
+function toRule(rule) {
+  return (_.isNil(rule)) ? 'NO ACTION' : String(rule).replace(/_/g, ' ').toUpperCase();
+}
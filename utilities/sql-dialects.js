@@ -0,0 +1,208 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const constants = require('../constants/constants');
+const StringUtils = require('./string-utilities');
+
+// the limit styles.
+const LIMIT_STYLE = 'limit';
+const FETCH_STYLE = 'fetch';
+
+// the upsert styles.
+const DUPLICATE_KEY_STYLE = 'duplicateKey';
+const ON_CONFLICT_STYLE = 'onConflict';
+const MERGE_STYLE = 'merge';
+
+/**
+ * Builds a dialect object with the sql differences of a database.
+ * @param name - The dialect name.
+ * @param openQuote - The identifier open quote character.
+ * @param closeQuote - The identifier close quote character.
+ * @param limitStyle - LIMIT n OFFSET m or OFFSET m ROWS FETCH NEXT n ROWS ONLY.
+ * @param maxLimit - The LIMIT value used when there is only an offset.
+ * @param upsertStyle - ON DUPLICATE KEY UPDATE, ON CONFLICT or MERGE.
+ * @returns {Object}
+ */
+function createDialect(name, openQuote, closeQuote, limitStyle, maxLimit, upsertStyle) {
+  const dialect = {
+    name: name,
+    limitStyle: limitStyle,
+    upsertStyle: upsertStyle
+  };
+
+  // matches a single fully quoted identifier part.
+  const quotedPattern = new RegExp('^' + _.escapeRegExp(openQuote) + '([^' + _.escapeRegExp(closeQuote) + ']|' +
+    _.escapeRegExp(closeQuote + closeQuote) + ')+' + _.escapeRegExp(closeQuote) + '$');
+
+  /**
+   * Quotes an identifier. Schema qualified names (dbo.users) get every part quoted.
+   * Already quoted parts and * are left alone.
+   * @param identifier - The identifier.
+   * @returns {string}
+   */
+  dialect.quoteIdentifier = (identifier) => {
+    // make sure the identifier is a usable name.
+    if (!_.isString(identifier) || _.isEmpty(identifier.trim()) || _.includes(identifier, '\u0000')) {
+      throw new Error('Invalid sql identifier: ' + identifier);
+    }
+
+    return _.map(splitIdentifier(identifier, openQuote, closeQuote), (part) => {
+      if (part === '*' || quotedPattern.test(part)) {
+        return part;
+      }
+
+      return openQuote + StringUtils.replaceAll(part, closeQuote, closeQuote + closeQuote) + closeQuote;
+    }).join('.');
+  };
+
+  /**
+   * Adds the limit and offset clauses to a select statement.
+   * @param sql - The select statement.
+   * @param limit - The max number of rows. (optional)
+   * @param offset - The number of rows to skip. (optional)
+   * @param hasOrderBy - Flag indicating if the statement has an ORDER BY clause.
+   * @returns {string}
+   */
+  dialect.applyLimit = (sql, limit, offset, hasOrderBy) => {
+    let hasLimit = !_.isNil(limit);
+    let hasOffset = !_.isNil(offset);
+
+    if (!hasLimit && !hasOffset) {
+      return sql;
+    }
+
+    if (limitStyle === FETCH_STYLE) {
+      // OFFSET ... FETCH needs an ORDER BY clause.
+      if (!hasOrderBy) {
+        sql += ' ORDER BY (SELECT NULL)';
+      }
+
+      sql += ' OFFSET ' + exports.toRowCount(offset || 0) + ' ROWS';
+
+      if (hasLimit) {
+        sql += ' FETCH NEXT ' + exports.toRowCount(limit) + ' ROWS ONLY';
+      }
+
+      return sql;
+    }
+
+    sql += ' LIMIT ' + ((hasLimit) ? exports.toRowCount(limit) : maxLimit);
+
+    if (hasOffset) {
+      sql += ' OFFSET ' + exports.toRowCount(offset);
+    }
+
+    return sql;
+  };
+
+  return dialect;
+}
+
+// the dialects by adapter name.
+const DIALECTS = {};
+DIALECTS[constants.MYSQL_ADAPTER] = createDialect('mysql', '`', '`', LIMIT_STYLE, '18446744073709551615', DUPLICATE_KEY_STYLE);
+DIALECTS[constants.MSSQL_ADAPTER] = createDialect('mssql', '[', ']', FETCH_STYLE, null, MERGE_STYLE);
+DIALECTS[constants.POSTGRES_ADAPTER] = createDialect('postgres', '"', '"', LIMIT_STYLE, 'ALL', ON_CONFLICT_STYLE);
+DIALECTS[constants.SQLITE_ADAPTER] = createDialect('sqlite', '"', '"', LIMIT_STYLE, '-1', ON_CONFLICT_STYLE);
+
+// the ANSI dialect used when the adapter has no dialect of its own.
+const DEFAULT_DIALECT = createDialect('ansi', '"', '"', LIMIT_STYLE, 'ALL', MERGE_STYLE);
+
+// the dialect of the sql generation functions before configure. The names are used as they are, like the
+// functions did before they quoted them.
+const UNQUOTED_DIALECT = _.assign({}, DEFAULT_DIALECT, {
+  name: 'unquoted',
+  quoteIdentifier: (identifier) => {
+    // make sure the identifier is a usable name.
+    if (!_.isString(identifier) || _.isEmpty(identifier.trim()) || _.includes(identifier, '\u0000')) {
+      throw new Error('Invalid sql identifier: ' + identifier);
+    }
+
+    return identifier;
+  }
+});
+
+exports.LIMIT_STYLE = LIMIT_STYLE;
+exports.FETCH_STYLE = FETCH_STYLE;
+exports.DUPLICATE_KEY_STYLE = DUPLICATE_KEY_STYLE;
+exports.ON_CONFLICT_STYLE = ON_CONFLICT_STYLE;
+exports.MERGE_STYLE = MERGE_STYLE;
+exports.UNQUOTED_DIALECT = UNQUOTED_DIALECT;
+
+/**
+ * Gets the dialect for the db options. The mock adapter uses the dialect of the mockDialect
+ * or mockAdapterName option and falls back to mysql.
+ * @param options - The db config options object.
+ * @returns {Object}
+ */
+exports.getDialect = (options) => {
+  if (!options) {
+    return DEFAULT_DIALECT;
+  }
+
+  let adapterName = options.adapterName;
+
+  if (adapterName === constants.MOCK_ADAPTER) {
+    adapterName = options.mockDialect || options.mockAdapterName || constants.MYSQL_ADAPTER;
+  }
+
+  return DIALECTS[adapterName] || DEFAULT_DIALECT;
+};
+
+/**
+ * Splits an identifier on the dots that are not inside of quotes.
+ * @param identifier - The identifier.
+ * @param openQuote - The identifier open quote character.
+ * @param closeQuote - The identifier close quote character.
+ * @returns {Array}
+ */
+function splitIdentifier(identifier, openQuote, closeQuote) {
+  let parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < identifier.length; i++) {
+    let char = identifier.charAt(i);
+
+    if (!quoted && char === openQuote && current === '') {
+      quoted = true;
+    }
+    else if (quoted && char === closeQuote) {
+      // doubled close quotes are escaped quotes.
+      if (identifier.charAt(i + 1) === closeQuote) {
+        current += char;
+        i++;
+      }
+      else {
+        quoted = false;
+      }
+    }
+    else if (!quoted && char === '.') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Makes sure a limit or offset value is a non negative integer.
+ * @param value - The value.
+ * @returns {number}
+ */
+exports.toRowCount = (value) => {
+  let number = Number(value);
+
+  if (!_.isInteger(number) || number < 0) {
+    throw new Error('Limit and offset values must be non negative integers.');
+  }
+
+  return number;
+};
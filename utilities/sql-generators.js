@@ -0,0 +1,274 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const SqlDialects = require('./sql-dialects');
+
+/**
+ * Builds the list of select fields using an array of mappings.
+ * Use { raw: String, rename: String } for expressions, which are added as they are.
+ * Ex: { raw: 'COUNT(*)', rename: 'total' }
+ * @param dialect - The sql dialect used to quote the identifiers.
+ * @param tableName - The table name. It isn't added to the raw expressions.
+ * @param mappings - The array of mapping objects.
+ * @param [options] - The options object. { allowedColumns: Array } The raw expressions aren't checked.
+ * @returns {string}
+ *
+ * {
+ *  field: String,
+ *  rename: String
+ * }
+ */
+exports.createSelectFields = (dialect, tableName, mappings, options) => {
+  // make sure all the fields are allowed before building anything.
+  validateColumns(_.map(_.reject(mappings, 'raw'), 'field'), options);
+
+  let selectClause = '';
+
+  for (let i = 0; i < mappings.length; i++) {
+    if (i !== 0) {
+      selectClause += ', ';
+    }
+
+    if (mappings[i].raw) {
+      selectClause += mappings[i].raw;
+    }
+    else {
+      selectClause += ((tableName) ? dialect.quoteIdentifier(tableName) + '.' : '') + dialect.quoteIdentifier(mappings[i].field);
+    }
+
+    if (mappings[i].rename && !_.isEmpty(mappings[i].rename)) {
+      selectClause += ' AS ' + dialect.quoteIdentifier(mappings[i].rename);
+    }
+  }
+
+  return selectClause;
+};
+
+/**
+ * Builds an insert object (object with sql and params array).
+ * @param dialect - The sql dialect used to quote the identifiers.
+ * @param tableName - The name of the table to insert into.
+ * @param parameters - An object of key value pairs.
+ * @param [options] - The options object. { allowedColumns: Array }
+ */
+exports.generateInsertObject = (dialect, tableName, parameters, options) => {
+  // make sure all the keys are allowed columns before building anything.
+  validateColumns(_.keys(parameters), options);
+
+  let sql = `INSERT INTO ${dialect.quoteIdentifier(tableName)}`;
+
+  // build the parameter lists.
+  let columnNamesString = '';
+  let valuePlaceHolders = '';
+  let paramsArray = [];
+
+  // keep track of the current index.
+  let index = 0;
+
+  // loop over all the keys.
+  for (let key in parameters) {
+    if (parameters.hasOwnProperty(key) && parameters[key] !== undefined) {
+      // if its not the last parameter, add a comma.
+      if (index !== 0) {
+        columnNamesString += ', ';
+        valuePlaceHolders += ', ';
+      }
+
+      // increment the index.
+      index++;
+
+      columnNamesString += dialect.quoteIdentifier(key);
+      valuePlaceHolders += '?';
+      paramsArray.push(parameters[key]);
+    }
+  }
+
+  // connect it to the initial statement.
+  sql += ' (' + columnNamesString + ') VALUES (' + valuePlaceHolders + ')';
+
+  // build the insert object.
+  return {
+    sql: sql,
+    params: paramsArray
+  };
+};
+
+/**
+ * Builds an update object (object with sql and params array).
+ * @param dialect - The sql dialect used to quote the identifiers.
+ * @param tableName - The name of the table.
+ * @param parameters - The object of key value pairs where keys are the db column names.
+ * @param conditions - The sql condition statement.
+ * @param conditionParams - The array of parameters that match the conditions place markers.
+ * @param [options] - The options object. { allowedColumns: Array }
+ */
+exports.generateUpdateObject = (dialect, tableName, parameters, conditions, conditionParams, options) => {
+  // make sure all the keys are allowed columns before building anything.
+  validateColumns(_.keys(parameters), options);
+
+  let sql = 'UPDATE ' + dialect.quoteIdentifier(tableName) + ' SET ';
+  let paramsArray = [];
+
+  let index = 0;
+
+  for (let key in parameters) {
+    if (parameters.hasOwnProperty(key)) {
+      if (index !== 0) {
+        sql += ', ';
+      }
+
+      // increment the index.
+      index++;
+
+      // add the key to they statement.
+      sql += dialect.quoteIdentifier(key) + ' = ? ';
+      paramsArray.push(parameters[key]);
+    }
+  }
+
+  // add the conditions part of the statement.
+  sql += 'WHERE ' + conditions;
+
+  // add the condition parameters part.
+  for (let i = 0; i < conditionParams.length; i++) {
+    paramsArray.push(conditionParams[i]);
+  }
+
+  return {
+    sql: sql,
+    params: paramsArray
+  };
+};
+
+/**
+ * Builds a delete object (object with sql and params array).
+ * @param dialect - The sql dialect used to quote the identifiers.
+ * @param tableName - The name of the table.
+ * @param conditions - The sql condition statement.
+ * @param conditionParams - The array of parameters that match the conditions place markers.
+ */
+exports.generateDeleteObject = (dialect, tableName, conditions, conditionParams) => {
+  // never build a delete statement for the whole table by accident.
+  if (!conditions || _.isEmpty(conditions.trim())) {
+    throw new Error('Delete conditions are not set.');
+  }
+
+  return {
+    sql: 'DELETE FROM ' + dialect.quoteIdentifier(tableName) + ' WHERE ' + conditions,
+    params: _.clone(conditionParams || [])
+  };
+};
+
+/**
+ * Builds an insert or update object (object with sql and params array) for the dialect.
+ * MySQL uses ON DUPLICATE KEY UPDATE, PostgreSQL and SQLite use ON CONFLICT and MS SQL uses MERGE.
+ * @param dialect - The sql dialect used to quote the identifiers.
+ * @param tableName - The name of the table.
+ * @param parameters - The object of key value pairs where keys are the db column names.
+ * @param keyColumns - The array of unique key column names used to find the existing row.
+ * @param [updateColumns] - The array of column names to update if the row exists. Defaults to every non key column.
+ * @param [options] - The options object. { allowedColumns: Array }
+ */
+exports.generateUpsertObject = (dialect, tableName, parameters, keyColumns, updateColumns, options) => {
+  // get the columns with values.
+  let columns = _.filter(_.keys(parameters), (key) => {
+    return parameters[key] !== undefined;
+  });
+
+  keyColumns = _.castArray(keyColumns || []);
+
+  // make sure all the keys are allowed columns before building anything.
+  validateColumns(columns, options);
+
+  if (keyColumns.length === 0) {
+    throw new Error('Upsert key columns are not set.');
+  }
+
+  // the key columns need values to find the existing row.
+  let missingKeys = _.difference(keyColumns, columns);
+  if (missingKeys.length > 0) {
+    throw new Error('Upsert key column(s) missing from the values: ' + missingKeys.join(', '));
+  }
+
+  // default to updating every non key column.
+  updateColumns = (updateColumns) ? _.castArray(updateColumns) : _.difference(columns, keyColumns);
+
+  let unknownUpdates = _.difference(updateColumns, columns);
+  if (unknownUpdates.length > 0) {
+    throw new Error('Upsert update column(s) missing from the values: ' + unknownUpdates.join(', '));
+  }
+
+  let table = dialect.quoteIdentifier(tableName);
+  let quotedColumns = _.map(columns, dialect.quoteIdentifier);
+  let placeHolders = _.map(columns, () => '?').join(', ');
+  let params = _.map(columns, (column) => parameters[column]);
+  let sql = null;
+
+  if (dialect.upsertStyle === SqlDialects.DUPLICATE_KEY_STYLE) {
+    // a key = key update keeps the existing row as it is.
+    let updates = (updateColumns.length > 0) ? updateColumns : [keyColumns[0]];
+
+    sql = 'INSERT INTO ' + table + ' (' + quotedColumns.join(', ') + ') VALUES (' + placeHolders + ')' +
+      ' ON DUPLICATE KEY UPDATE ' + _.map(updates, (column) => {
+        let quoted = dialect.quoteIdentifier(column);
+        return quoted + ' = ' + ((updateColumns.length > 0) ? 'VALUES(' + quoted + ')' : quoted);
+      }).join(', ');
+  }
+  else if (dialect.upsertStyle === SqlDialects.ON_CONFLICT_STYLE) {
+    sql = 'INSERT INTO ' + table + ' (' + quotedColumns.join(', ') + ') VALUES (' + placeHolders + ')' +
+      ' ON CONFLICT (' + _.map(keyColumns, dialect.quoteIdentifier).join(', ') + ')';
+
+    if (updateColumns.length > 0) {
+      sql += ' DO UPDATE SET ' + _.map(updateColumns, (column) => {
+        let quoted = dialect.quoteIdentifier(column);
+        return quoted + ' = EXCLUDED.' + quoted;
+      }).join(', ');
+    }
+    else {
+      sql += ' DO NOTHING';
+    }
+  }
+  else {
+    // HOLDLOCK keeps concurrent merges from inserting the same key twice.
+    sql = 'MERGE INTO ' + table + ' WITH (HOLDLOCK) AS target' +
+      ' USING (VALUES (' + placeHolders + ')) AS source (' + quotedColumns.join(', ') + ')' +
+      ' ON ' + _.map(keyColumns, (column) => {
+        let quoted = dialect.quoteIdentifier(column);
+        return 'target.' + quoted + ' = source.' + quoted;
+      }).join(' AND ');
+
+    if (updateColumns.length > 0) {
+      sql += ' WHEN MATCHED THEN UPDATE SET ' + _.map(updateColumns, (column) => {
+        let quoted = dialect.quoteIdentifier(column);
+        return 'target.' + quoted + ' = source.' + quoted;
+      }).join(', ');
+    }
+
+    sql += ' WHEN NOT MATCHED THEN INSERT (' + quotedColumns.join(', ') + ') VALUES (' + _.map(quotedColumns, (quoted) => {
+      return 'source.' + quoted;
+    }).join(', ') + ');';
+  }
+
+  return {
+    sql: sql,
+    params: params
+  };
+};
+
+/**
+ * Makes sure every column is in the allowed columns list of the options (if there is one).
+ * @param columns - The array of column names.
+ * @param options - The options object. { allowedColumns: Array }
+ */
+function validateColumns(columns, options) {
+  if (!options || !options.allowedColumns) {
+    return;
+  }
+
+  let unknownColumns = _.difference(columns, options.allowedColumns);
+
+  if (unknownColumns.length > 0) {
+    throw new Error('Unknown column(s): ' + unknownColumns.join(', '));
+  }
+}
@@ -0,0 +1,601 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const StringUtils = require('./string-utilities');
+
+/**
+ * Expands a bulk insert statement into a multi-row VALUES statement with question mark placeholders.
+ * Ex: INSERT INTO table_name (name, email) VALUES ? with [['a', 'b'], ['c', 'd']] becomes
+ * INSERT INTO table_name (name, email) VALUES (?, ?), (?, ?) with ['a', 'b', 'c', 'd'].
+ * @param statement - The sql insert statement with a single VALUES ? placeholder.
+ * @param rows - The array of value arrays.
+ * @returns {{sql: string, params: Array}}
+ */
+exports.expandBulkInsertStatement = (statement, rows) => {
+  // make sure the statement has the values placeholder.
+  if (!/VALUES\s*\?/i.test(statement)) {
+    throw new Error('Bulk insert statement must contain a VALUES ? placeholder.');
+  }
+
+  let rowPlaceHolders = [];
+  let params = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    // every row has to be an array of values.
+    if (!_.isArray(rows[i])) {
+      throw new Error('Bulk insert rows must be arrays of values.');
+    }
+
+    rowPlaceHolders.push('(' + _.fill(new Array(rows[i].length), '?').join(', ') + ')');
+    params = params.concat(rows[i]);
+  }
+
+  return {
+    sql: statement.replace(/VALUES\s*\?/i, 'VALUES ' + rowPlaceHolders.join(', ')),
+    params: params
+  };
+};
+
+/**
+ * Parses the table name and column names out of a bulk insert statement.
+ * Ex: INSERT INTO dbo.users (name, [email]) VALUES ? returns { tableName: 'dbo.users', columns: ['name', 'email'] }.
+ * @param statement - The sql insert statement with a single VALUES ? placeholder.
+ * @returns {{tableName: string, columns: Array}}
+ */
+exports.parseBulkInsertStatement = (statement) => {
+  let match = /^\s*INSERT\s+INTO\s+(.+?)\s*\(([^)]*)\)\s*VALUES\s*\?\s*;?\s*$/i.exec(statement);
+
+  if (!match) {
+    throw new Error('Bulk insert statement must have the form: INSERT INTO table_name (column, column) VALUES ?');
+  }
+
+  // remove the identifier quotes from the column names.
+  let columns = _.map(match[2].split(','), (column) => {
+    return column.trim().replace(/^[\[`"]|[\]`"]$/g, '');
+  });
+
+  return {
+    tableName: match[1],
+    columns: columns
+  };
+};
+
+/**
+ * Splits the bulk insert rows into chunks so the number of parameters per statement stays below a limit.
+ * @param rows - The array of value arrays.
+ * @param maxParameters - The maximum number of parameters allowed in one statement.
+ * @returns {Array} - The array of row chunks.
+ */
+exports.chunkBulkInsertRows = (rows, maxParameters) => {
+  // get the number of columns from the first row.
+  let columnCount = (rows.length > 0 && rows[0].length > 0) ? rows[0].length : 1;
+  let rowsPerChunk = Math.max(1, Math.floor(maxParameters / columnCount));
+
+  return _.chunk(rows, rowsPerChunk);
+};
+
+/**
+ * Replaces every question mark placeholder of a sql string. Question marks inside of string
+ * literals, quoted identifiers and comments are left alone.
+ * @param sql - The sql string with question mark placeholders.
+ * @param replacer - Returns the replacement for a placeholder. function (index) {}
+ * @returns {string}
+ */
+exports.replacePlaceholders = (sql, replacer) => {
+  let index = 0;
+
+  return replaceUnquoted(sql, (position) => {
+    if (sql.charAt(position) !== '?') {
+      return null;
+    }
+
+    let replacement = replacer(index);
+    index++;
+
+    return {
+      text: replacement,
+      length: 1
+    };
+  });
+};
+
+/**
+ * Checks if a sql string has postgres $1..$n placeholders outside of string literals, quoted identifiers
+ * and comments. A $ inside of a name (Ex: a$1) is no placeholder.
+ * @param sql - The sql string.
+ * @returns {boolean}
+ */
+exports.hasNumberedPlaceholders = (sql) => {
+  let found = false;
+
+  replaceUnquoted(sql || '', (position) => {
+    found = found || (sql.charAt(position) === '$' && /[0-9]/.test(sql.charAt(position + 1)) &&
+      !/[A-Za-z0-9_$]/.test(sql.charAt(position - 1)));
+    return null;
+  });
+
+  return found;
+};
+
+/**
+ * Checks if the params are a named parameters object. Ex: { userId: 5, status: 'A' }
+ * A params object is only named parameters when the sql has :name placeholders, so the mysql key/value
+ * pairs object of INSERT INTO users SET ? is passed on as it is.
+ * @param params - The params.
+ * @param sql - The sql string.
+ * @returns {boolean}
+ */
+exports.isNamedParams = (params, sql) => {
+  return _.isPlainObject(params) && hasNamedPlaceholders(sql);
+};
+
+/**
+ * Gets the params of a query that has no named parameters. An empty params object binds no values,
+ * so it becomes an empty array. Ex: runQuery('SELECT 1', {})
+ * @param params - The params array or object.
+ * @returns {Array|Object}
+ */
+exports.toPositionalParams = (params) => {
+  return (_.isPlainObject(params) && _.isEmpty(params)) ? [] : (params || []);
+};
+
+/**
+ * Replaces the :name placeholders of a sql string. Names inside of string literals, quoted identifiers
+ * and comments and postgres :: casts are left alone. A name can be used multiple times.
+ * Missing and unused keys of the values object are reported as errors.
+ * @param sql - The sql string with :name placeholders.
+ * @param values - The named parameters object. Ex: { userId: 5, status: 'A' }
+ * @param [formatter] - Returns the replacement for a name. function (name, nameIndex) {}. Defaults to ?.
+ * @returns {{sql: string, params: Array, names: Array}} - params holds a value for every placeholder, names every distinct name.
+ */
+exports.convertNamedParams = (sql, values, formatter) => {
+  let names = [];
+  let params = [];
+  let missingNames = [];
+
+  formatter = formatter || (() => '?');
+
+  let result = replaceUnquoted(sql, (position) => {
+    let name = matchNamedPlaceholder(sql, position);
+
+    // skip everything that is not a :name placeholder.
+    if (!name) {
+      return null;
+    }
+
+    if (!_.has(values, name)) {
+      missingNames.push(name);
+    }
+
+    if (!_.includes(names, name)) {
+      names.push(name);
+    }
+
+    params.push(values[name]);
+
+    return {
+      text: formatter(name, names.indexOf(name)),
+      length: name.length + 1
+    };
+  });
+
+  if (missingNames.length > 0) {
+    throw new Error('Missing named parameter(s): ' + _.uniq(missingNames).join(', '));
+  }
+
+  let unusedNames = _.difference(_.keys(values), names);
+  if (unusedNames.length > 0) {
+    throw new Error('Unused named parameter(s): ' + unusedNames.join(', '));
+  }
+
+  return {
+    sql: result,
+    params: params,
+    names: names
+  };
+};
+
+/**
+ * Converts a query with named parameters to a query with question mark placeholders and a params array.
+ * Queries with a params array are returned as they are and an empty params object becomes an empty array.
+ * @param sql - The sql string.
+ * @param params - The params array or named parameters object.
+ * @returns {{sql: string, params: Array}}
+ */
+exports.toPositionalQuery = (sql, params) => {
+  if (!exports.isNamedParams(params, sql)) {
+    return {
+      sql: sql,
+      params: exports.toPositionalParams(params)
+    };
+  }
+
+  let query = exports.convertNamedParams(sql, params);
+
+  return {
+    sql: query.sql,
+    params: query.params
+  };
+};
+
+/**
+ * Splits the top level ORDER BY clause off of a select query. ORDER BY clauses inside of sub queries,
+ * window functions, string literals and comments are left alone. The trailing semicolon is removed.
+ * Ex: SELECT * FROM users ORDER BY name returns { sql: 'SELECT * FROM users', orderBy: 'ORDER BY name' }.
+ * @param sql - The select query.
+ * @returns {{sql: string, orderBy: string|null}}
+ */
+exports.splitOrderBy = (sql) => {
+  let depth = 0;
+  let orderByIndex = -1;
+
+  replaceUnquoted(sql, (position) => {
+    let char = sql.charAt(position);
+
+    if (char === '(') {
+      depth++;
+    }
+    else if (char === ')') {
+      depth--;
+    }
+    else if (depth === 0 && /^ORDER\s+BY\b/i.test(sql.substr(position, 40)) && !/\w/.test(sql.charAt(position - 1))) {
+      orderByIndex = position;
+    }
+
+    return null;
+  });
+
+  sql = sql.replace(/[\s;]*$/, '');
+
+  if (orderByIndex < 0) {
+    return {
+      sql: sql,
+      orderBy: null
+    };
+  }
+
+  return {
+    sql: sql.substring(0, orderByIndex).trim(),
+    orderBy: sql.substring(orderByIndex).trim()
+  };
+};
+
+/**
+ * Splits a sql script into statements on the semicolons that are not inside of string literals,
+ * quoted identifiers or comments. The mysql DELIMITER command changes the delimiter, so procedure
+ * bodies can contain semicolons. Statements without any sql (only comments) are dropped.
+ * @param sql - The sql script.
+ * @returns {Array} - The statements.
+ */
+exports.splitStatements = (sql) => {
+  let delimiter = ';';
+
+  return splitUnquoted(sql, (position) => {
+    // DELIMITER $$
+    if (isLineStart(sql, position)) {
+      let match = /^[ \t]*DELIMITER[ \t]+(\S+)[ \t]*(?=\r?\n|$)/i.exec(sql.substr(position, 100));
+
+      if (match) {
+        delimiter = match[1];
+        return match[0].length;
+      }
+    }
+
+    return (sql.startsWith(delimiter, position)) ? delimiter.length : 0;
+  });
+};
+
+/**
+ * Splits a mssql script into batches on the GO separator lines. Batches without any sql are dropped.
+ * @param sql - The sql script.
+ * @returns {Array} - The batches.
+ */
+exports.splitBatches = (sql) => {
+  return splitUnquoted(sql, (position) => {
+    if (!isLineStart(sql, position)) {
+      return 0;
+    }
+
+    let match = /^[ \t]*GO[ \t]*(?:--[^\n]*)?(?=\r?\n|$)/i.exec(sql.substr(position, 100));
+
+    return (match) ? match[0].length : 0;
+  });
+};
+
+/**
+ * Gets the rows out of query results. mssql returns a result object with the recordset.
+ * @param results - The query results.
+ * @returns {Array}
+ */
+exports.getRows = (results) => {
+  if (results && !_.isArray(results) && _.isArray(results.recordset)) {
+    return results.recordset;
+  }
+
+  return results || [];
+};
+
+/**
+ * Gets the number of rows returned or changed out of query or statement results.
+ * Ex: the rows of a query, the affectedRows of a statement or the rowsAffected of a mssql result.
+ * @param results - The query or statement results.
+ * @returns {number|null} - null when the results have no row count.
+ */
+exports.getRowCount = (results) => {
+  if (_.isArray(results)) {
+    return results.length;
+  }
+
+  if (!results) {
+    return null;
+  }
+
+  if (_.isArray(results.recordset)) {
+    return results.recordset.length;
+  }
+
+  if (_.isArray(results.rowsAffected)) {
+    return _.sum(results.rowsAffected);
+  }
+
+  let count = _.find([results.affectedRows, results.rowCount], _.isNumber);
+
+  return (_.isUndefined(count)) ? null : count;
+};
+
+/**
+ * Converts a placeholder filled sql string with the params array for debug printing.
+ * @param sql - The sql statement containing placeholders.
+ * @param params - The array of parameters.
+ * @param timezone - The timezone.
+ * @returns {string}
+ */
+exports.queryToString = (sql, params, timezone) => {
+  let final = '';
+  let paramsIndex = 0;
+
+  for (let i = 0; i < sql.length; i++) {
+    if (sql.charAt(i) === '?') {
+      if (typeof params[paramsIndex] == 'string') {
+        if (params[paramsIndex].lastIndexOf('[@]', 0) === 0) {
+          final += StringUtils.replaceAll(params[paramsIndex], '[@]', '@');
+        }
+        else {
+          final += "'" + StringUtils.replaceAll(params[paramsIndex], "'", "\\'") + "'";
+        }
+      }
+      else if (Object.prototype.toString.call(params[paramsIndex]) === '[object Date]') {
+        final += "'" + dateToString(params[paramsIndex], timezone) + "'";
+      }
+      else {
+        final += params[paramsIndex];
+      }
+
+      paramsIndex++;
+    }
+    else {
+      final += sql.charAt(i);
+    }
+  }
+
+  return final;
+};
+
+/**
+ * Splits a sql string on the separators that are not inside of string literals, quoted identifiers
+ * or comments. Parts without any sql are dropped.
+ * @param sql - The sql string.
+ * @param matchSeparator - Returns the length of the separator at the position or 0. function (position) {}
+ * @returns {Array}
+ */
+function splitUnquoted(sql, matchSeparator) {
+  let parts = [];
+  let start = 0;
+
+  replaceUnquoted(sql, (position) => {
+    let length = matchSeparator(position);
+
+    if (!length) {
+      return null;
+    }
+
+    parts.push(sql.substring(start, position));
+    start = position + length;
+
+    return {
+      text: '',
+      length: length
+    };
+  });
+
+  parts.push(sql.substring(start));
+
+  return _.filter(_.map(parts, _.trim), hasSql);
+}
+
+/**
+ * Checks if a sql string has anything other than whitespace and comments.
+ * @param sql - The sql string.
+ * @returns {boolean}
+ */
+function hasSql(sql) {
+  let found = false;
+
+  replaceUnquoted(sql, (position) => {
+    if (/\S/.test(sql.charAt(position))) {
+      found = true;
+    }
+
+    return null;
+  });
+
+  return found;
+}
+
+/**
+ * Checks if a position is the start of a line.
+ * @param sql - The sql string.
+ * @param position - The position.
+ * @returns {boolean}
+ */
+function isLineStart(sql, position) {
+  return position === 0 || sql.charAt(position - 1) === '\n';
+}
+
+/**
+ * Gets the name of the :name placeholder at a position of a sql string. Postgres :: casts are no placeholders.
+ * @param sql - The sql string.
+ * @param position - The position.
+ * @returns {string|null} - The name or null when there is no placeholder at the position.
+ */
+function matchNamedPlaceholder(sql, position) {
+  if (sql.charAt(position) !== ':' || sql.charAt(position - 1) === ':') {
+    return null;
+  }
+
+  let match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.substring(position + 1));
+
+  return (match) ? match[0] : null;
+}
+
+/**
+ * Checks if a sql string has :name placeholders outside of string literals, quoted identifiers and comments.
+ * @param sql - The sql string.
+ * @returns {boolean}
+ */
+function hasNamedPlaceholders(sql) {
+  let found = false;
+
+  replaceUnquoted(sql || '', (position) => {
+    found = found || !!matchNamedPlaceholder(sql, position);
+    return null;
+  });
+
+  return found;
+}
+
+/**
+ * Runs a replacer over every part of a sql string that is not inside of a string literal, quoted
+ * identifier or comment.
+ * @param sql - The sql string.
+ * @param replacer - Returns { text, length } to replace length characters at the position or null. function (position) {}
+ * @returns {string}
+ */
+function replaceUnquoted(sql, replacer) {
+  let result = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    let char = sql.charAt(i);
+    let next = sql.charAt(i + 1);
+    let end = -1;
+
+    if (char === "'" || char === '"' || char === '`') {
+      // skip to the closing quote. doubled quotes are escaped quotes.
+      end = i + 1;
+      while (end < sql.length) {
+        if (sql.charAt(end) === char) {
+          if (sql.charAt(end + 1) === char) {
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        if (sql.charAt(end) === '\\' && char === "'") {
+          end++;
+        }
+        end++;
+      }
+      end++;
+    }
+    else if (char === '-' && next === '-') {
+      // skip to the end of the line comment.
+      end = sql.indexOf('\n', i);
+      end = (end < 0) ? sql.length : end;
+    }
+    else if (char === '/' && next === '*') {
+      // skip to the end of the block comment.
+      end = sql.indexOf('*/', i + 2);
+      end = (end < 0) ? sql.length : end + 2;
+    }
+
+    if (end >= 0) {
+      result += sql.substring(i, end);
+      i = end;
+      continue;
+    }
+
+    let replacement = replacer(i);
+
+    if (replacement) {
+      result += replacement.text;
+      i += replacement.length;
+    }
+    else {
+      result += char;
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Converts a date to string date.
+ * @param date
+ * @param timeZone
+ * @return {string}
+ */
+function dateToString(date, timeZone) {
+  let dt = new Date(date);
+
+  if (timeZone && timeZone !== 'local') {
+    let tz = convertTimezone(timeZone);
+
+    dt.setTime(dt.getTime() + (dt.getTimezoneOffset() * 60000));
+    if (tz !== false) {
+      dt.setTime(dt.getTime() + (tz * 60000));
+    }
+  }
+
+  let year   = dt.getFullYear();
+  let month  = zeroPad(dt.getMonth() + 1, 2);
+  let day    = zeroPad(dt.getDate(), 2);
+  let hour   = zeroPad(dt.getHours(), 2);
+  let minute = zeroPad(dt.getMinutes(), 2);
+  let second = zeroPad(dt.getSeconds(), 2);
+  let millisecond = zeroPad(dt.getMilliseconds(), 3);
+
+  return year + '-' + month + '-' + day + ' ' + hour + ':' + minute + ':' + second + '.' + millisecond;
+}
+
+/**
+ * Zero pads numbers.
+ * @param number
+ * @param length
+ * @return {string}
+ */
+function zeroPad(number, length) {
+  number = number.toString();
+  while (number.length < length) {
+    number = '0' + number;
+  }
+
+  return number;
+}
+
+/**
+ * Converts timezones.
+ * @param tz - The timezone.
+ * @return {boolean|number}
+ */
+function convertTimezone(tz) {
+  if (tz === "Z") return 0;
+
+  let m = tz.match(/([\+\-\s])(\d\d):?(\d\d)?/);
+  if (m) {
+    return (m[1] === '-' ? -1 : 1) * (parseInt(m[2], 10) + ((m[3] ? parseInt(m[3], 10) : 0) / 60)) * 60;
+  }
+  return false;
+}
@@ -0,0 +1,50 @@
+'use strict';
+
+// dependencies.
+const { Readable } = require('stream');
+
+// the default number of rows buffered before the source is paused.
+const DEFAULT_HIGH_WATER_MARK = 100;
+
+/**
+ * Creates an object mode readable stream of rows. The stream can also be consumed with for await.
+ * The adapter pushes rows into the stream and pauses its source when push returns false.
+ * The stream errors go through the toError option, so the client can wrap the driver errors.
+ * @param options - The stream options. { highWaterMark: Number, toError: function (err) {} }
+ * @param read - Called when the consumer wants more rows. Resumes the source. function () {}
+ * @param cancel - Called when the stream is destroyed. Stops the source and releases the connection. function (callback) {}
+ * @returns {Readable}
+ */
+exports.createRowStream = (options, read, cancel) => {
+  options = options || {};
+
+  return new Readable({
+    objectMode: true,
+    highWaterMark: options.highWaterMark || DEFAULT_HIGH_WATER_MARK,
+    read() {
+      read();
+    },
+    destroy(err, callback) {
+      cancel((e) => {
+        let error = err || e;
+
+        return callback((error && options.toError) ? options.toError(error) : error);
+      });
+    }
+  });
+};
+
+/**
+ * Destroys a row stream with an error on the next tick, so the caller has a chance to
+ * add its error listener first.
+ * @param stream - The row stream.
+ * @param err - The error.
+ * @returns {Readable} - The row stream.
+ */
+exports.failStream = (stream, err) => {
+  process.nextTick(() => {
+    stream.destroy(err);
+  });
+
+  return stream;
+};
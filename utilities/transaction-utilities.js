@@ -0,0 +1,115 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+const CallbackUtils = require('./callback-utilities');
+
+// the isolation levels of the transaction options.
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE', 'SNAPSHOT'];
+
+// makes the savepoint names unique.
+let savepointCounter = 0;
+
+/**
+ * Gets the isolation level, read only and lock timeout settings out of the transaction or statement options.
+ * The isolation level is upper cased and underscores are replaced with spaces, so 'read_committed' works too.
+ * Ex: { isolationLevel: 'SERIALIZABLE', readOnly: true, lockTimeout: 5000 }
+ * @param options - The transaction or statement options.
+ * @returns {Object|null} - The settings or null when the options don't set any of them.
+ * @throws an error for an unknown isolation level or a lock timeout that is not a positive number of milliseconds.
+ */
+exports.getTransactionSettings = (options) => {
+  if (!options || (!options.isolationLevel && !options.readOnly && _.isNil(options.lockTimeout))) {
+    return null;
+  }
+
+  let isolationLevel = (options.isolationLevel) ?
+    _.toUpper(options.isolationLevel).replace(/_/g, ' ') : null;
+
+  if (isolationLevel && !_.includes(ISOLATION_LEVELS, isolationLevel)) {
+    throw new Error('Unknown isolation level: ' + options.isolationLevel);
+  }
+
+  if (!_.isNil(options.lockTimeout) && !(_.isFinite(options.lockTimeout) && options.lockTimeout > 0)) {
+    throw new Error('The lock timeout must be a positive number of milliseconds.');
+  }
+
+  return {
+    isolationLevel: isolationLevel,
+    readOnly: !!options.readOnly,
+    lockTimeout: (_.isNil(options.lockTimeout)) ? null : Math.ceil(options.lockTimeout)
+  };
+};
+
+/**
+ * Runs statements one after another and stops at the first error.
+ * @param statements - The sql statements.
+ * @param runStatement - Runs a statement. function (statement, done) {}
+ * @param callback - The finished callback function. callback(err);
+ */
+exports.runStatements = (statements, runStatement, callback) => {
+  let index = 0;
+
+  let runNext = (err) => {
+    if (err || index >= statements.length) {
+      return callback(err || null);
+    }
+
+    runStatement(statements[index++], runNext);
+  };
+
+  runNext();
+};
+
+/**
+ * Runs a transaction execute function inside of a savepoint of an open transaction.
+ * The changes of the execute function are rolled back to the savepoint when it fails, so the
+ * outer transaction can go on. Only the outer transaction commits.
+ * @param statements - The savepoint statements of the adapter. The savepoint name is appended to them.
+ * { savepoint: 'SAVEPOINT ', rollback: 'ROLLBACK TO SAVEPOINT ', release: 'RELEASE SAVEPOINT ' }
+ * A statement can also be a function that builds the statement out of the savepoint name.
+ * The release statement is optional.
+ * @param runStatement - Runs a statement on the transaction connection. function (statement, done) {}
+ * @param connection - The transaction connection passed to the execute function.
+ * @param executeFunction - The function to run. function (connection, done) {} or async function (connection) {}
+ * @param callback - The finished callback function. callback(err, result);
+ */
+exports.runInSavepoint = (statements, runStatement, connection, executeFunction, callback) => {
+  savepointCounter++;
+
+  let savepointName = 'savepoint_' + savepointCounter;
+
+  runStatement(getSavepointStatement(statements.savepoint, savepointName), (err) => {
+    if (err) {
+      return callback(err);
+    }
+
+    CallbackUtils.invokeExecuteFunction(executeFunction, connection, (err, result) => {
+      if (err) {
+        // only roll back the changes made since the savepoint. When that fails the outer transaction
+        // can't go on as if only the nested changes were undone, so the rollback error is returned.
+        return runStatement(getSavepointStatement(statements.rollback, savepointName), (e) => {
+          return callback(e || err);
+        });
+      }
+
+      if (!statements.release) {
+        return callback(null, result);
+      }
+
+      runStatement(getSavepointStatement(statements.release, savepointName), (err) => {
+        return callback(err, result);
+      });
+    });
+  });
+};
+
+/**
+ * Builds a savepoint statement of an adapter.
+ * @param statement - The statement the savepoint name is appended to or a function (savepointName) {}
+ * @param savepointName - The savepoint name.
+ * @returns {string}
+ */
+function getSavepointStatement(statement, savepointName) {
+  return (_.isFunction(statement)) ? statement(savepointName) : statement + savepointName;
+}
@@ -0,0 +1,230 @@
+'use strict';
+
+// module dependencies.
+const _ = require('lodash');
+
+// the column types of the built-in converters. The adapters report the types in upper case.
+const BIT_TYPES = ['BIT', 'BOOL', 'BOOLEAN'];
+const JSON_TYPES = ['JSON', 'JSONB'];
+const DECIMAL_TYPES = ['DECIMAL', 'NUMERIC'];
+const DATE_TYPES = ['DATE', 'DATETIME', 'DATETIME2', 'SMALLDATETIME', 'DATETIMEOFFSET', 'TIMESTAMP', 'TIMESTAMPTZ'];
+const UUID_TYPES = ['UNIQUEIDENTIFIER', 'UUID'];
+
+// the allowed values of the built-in converter options.
+const DECIMAL_MODES = ['string', 'number', 'bigint'];
+const DATE_MODES = ['date', 'string'];
+const UUID_MODES = ['lower', 'upper'];
+
+/**
+ * Creates the type converter of an adapter out of the typeConversion db option.
+ *
+ * The built-in converters are turned on by their option. Ex:
+ * { bit: true, json: true, decimal: 'string', dates: 'date', uuid: 'lower' }
+ *   - bit: BIT(1), BOOLEAN and TINYINT(1) columns to booleans.
+ *   - json: JSON and JSONB text to objects.
+ *   - decimal: DECIMAL and NUMERIC columns to 'string', 'number' or 'bigint'.
+ *   - dates: DATE, DATETIME and TIMESTAMP columns to 'date' objects or ISO 'string's.
+ *   - uuid: UNIQUEIDENTIFIER and UUID columns to 'lower' or 'upper' case.
+ *
+ * The custom converters are keyed by column type in types and by column name in columns. They are
+ * function (value, column) {} and return the converted value. A column converter goes before a type
+ * converter, which goes before the built-in converter of the type. Null values are left as they are.
+ *
+ * @param [options] - The typeConversion db option. No columns are converted when it is not set.
+ * { bit, json, decimal, dates, uuid, types: Object, columns: Object }
+ * @returns {Object} - The type converter object.
+ * @throws an error for an unknown built-in converter option or a custom converter that is not a function.
+ */
+exports.createTypeConverter = (options) => {
+  // the type converter object.
+  const typeConverter = {};
+
+  options = options || {};
+
+  checkMode('decimal', options.decimal, DECIMAL_MODES);
+  checkMode('dates', options.dates, DATE_MODES);
+  checkMode('uuid', options.uuid, UUID_MODES);
+
+  // the custom converters with the type keys in upper case.
+  let typeConverters = _.mapKeys(options.types, (convert, type) => {
+    return _.toUpper(type);
+  });
+
+  let columnConverters = options.columns || {};
+
+  _.forEach(_.assign({}, typeConverters, columnConverters), (convert, key) => {
+    if (!_.isFunction(convert)) {
+      throw new Error('The type converter of ' + key + ' is not a function.');
+    }
+  });
+
+  let isEnabled = !!(options.bit || options.json || options.decimal || options.dates || options.uuid) ||
+    !_.isEmpty(typeConverters) || !_.isEmpty(columnConverters);
+
+  /**
+   * Converts the values of the rows of a result set in place. The converter of every column is looked up
+   * once, so the rows are converted in one pass.
+   * @param rows - The rows of the result set.
+   * @param columns - The columns of the result set. [{ name: String, type: String|null, length: Number|null }]
+   * The type is null when the adapter doesn't know it (Ex: sqlite), so only the column converters apply.
+   * @returns {Array} - The rows.
+   * @throws the error of a converter (Ex: invalid JSON text).
+   */
+  typeConverter.convertRows = (rows, columns) => {
+    if (!isEnabled || _.isEmpty(rows)) {
+      return rows;
+    }
+
+    let converters = _.compact(_.map(columns, (column) => {
+      let convert = getConverter(column);
+
+      return (convert) ? { column: column, convert: convert } : null;
+    }));
+
+    if (converters.length === 0) {
+      return rows;
+    }
+
+    _.forEach(rows, (row) => {
+      _.forEach(converters, (converter) => {
+        let value = row[converter.column.name];
+
+        if (!_.isNil(value)) {
+          row[converter.column.name] = converter.convert(value, converter.column);
+        }
+      });
+    });
+
+    return rows;
+  };
+
+  /**
+   * Gets the converter of a column.
+   * @param column - The column. { name, type, length }
+   * @returns {Function|null}
+   */
+  function getConverter(column) {
+    let type = _.toUpper(column.type);
+
+    if (columnConverters[column.name]) {
+      return columnConverters[column.name];
+    }
+
+    if (typeConverters[type]) {
+      return typeConverters[type];
+    }
+
+    if (options.bit && isBitColumn(column, type)) {
+      return toBoolean;
+    }
+
+    if (options.json && _.includes(JSON_TYPES, type)) {
+      return toObject;
+    }
+
+    if (options.decimal && _.includes(DECIMAL_TYPES, type)) {
+      return _.partial(toDecimal, options.decimal);
+    }
+
+    if (options.dates && _.includes(DATE_TYPES, type)) {
+      return _.partial(toDate, options.dates);
+    }
+
+    if (options.uuid && _.includes(UUID_TYPES, type)) {
+      return (options.uuid === 'lower') ? _.toLower : _.toUpper;
+    }
+
+    return null;
+  }
+
+  return typeConverter;
+};
+
+/**
+ * Makes sure a built-in converter option has an allowed value.
+ * @param name - The option name.
+ * @param mode - The option value.
+ * @param modes - The allowed values.
+ * @throws an error for a value that is not allowed.
+ */
+function checkMode(name, mode, modes) {
+  if (mode && !_.includes(modes, mode)) {
+    throw new Error('The ' + name + ' type conversion must be one of: ' + modes.join(', '));
+  }
+}
+
+/**
+ * Checks if a column holds a single bit. mysql reports BOOLEAN columns as TINYINT(1).
+ * @param column - The column. { name, type, length }
+ * @param type - The upper case column type.
+ * @returns {boolean}
+ */
+function isBitColumn(column, type) {
+  if (type === 'TINYINT') {
+    return column.length === 1;
+  }
+
+  return _.includes(BIT_TYPES, type) && (_.isNil(column.length) || column.length === 1);
+}
+
+/**
+ * Converts a bit value to a boolean. mysql returns bits as buffers and postgres as '0' or '1'.
+ * @param value - The bit value.
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (Buffer.isBuffer(value)) {
+    return value[0] === 1;
+  }
+
+  if (_.isString(value)) {
+    return value === '1' || _.toLower(value) === 'true';
+  }
+
+  return !!value;
+}
+
+/**
+ * Parses JSON text. The drivers that parse JSON on their own return objects, which are kept.
+ * @param value - The JSON value.
+ * @returns {*}
+ */
+function toObject(value) {
+  return (_.isString(value) || Buffer.isBuffer(value)) ? JSON.parse(value.toString()) : value;
+}
+
+/**
+ * Converts a decimal value. postgres returns decimals as strings and mysql and mssql as numbers.
+ * @param mode - 'string', 'number' or 'bigint'.
+ * @param value - The decimal value.
+ * @param column - The column.
+ * @returns {string|number|bigint}
+ * @throws an error for a bigint conversion of a value with a fraction.
+ */
+function toDecimal(mode, value, column) {
+  if (mode === 'string') {
+    return String(value);
+  }
+
+  if (mode === 'number') {
+    return Number(value);
+  }
+
+  if (!/^-?\d+(\.0*)?$/.test(String(value))) {
+    throw new Error('The value ' + value + ' of column ' + column.name + ' can\'t be converted to a BigInt.');
+  }
+
+  return BigInt(String(value).split('.')[0]);
+}
+
+/**
+ * Converts a date value.
+ * @param mode - 'date' for Date objects or 'string' for ISO strings.
+ * @param value - The date value.
+ * @returns {Date|string}
+ */
+function toDate(mode, value) {
+  let date = (_.isDate(value)) ? value : new Date(value);
+
+  return (mode === 'date') ? date : date.toISOString();
+}